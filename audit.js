@@ -0,0 +1,93 @@
+const fs = require("fs");
+
+// 📜 Audit Log
+// Append-only JSONL file, one entry per line: { timestamp, actor, action, target, result, details }.
+// `actor` is { id, name } for a person, "ai_screening" or "system"; `target` says what was acted on
+// (e.g. { userId } or { chatId, messageId }). Appends are synchronous, like the state store, so an entry
+// is on disk before the handler continues.
+
+const CSV_COLUMNS = ["timestamp", "actor", "action", "target", "result", "details"];
+
+function createAuditLog(filePath) {
+    // `timestamp` is only given when importing entries recorded elsewhere; it defaults to now
+    function record(action, { actor = "system", target = null, result = "ok", details = null, timestamp = new Date().toISOString() } = {}) {
+        const entry = { timestamp, actor, action, target, result, details };
+        try {
+            fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            console.error(`❌ Error writing to audit log ${filePath}:`, error.message);
+        }
+        return entry;
+    }
+
+    // Returns every entry, oldest first (imported entries can be appended out of order); unreadable lines are
+    // skipped rather than failing the whole read
+    function readEntries() {
+        if (!fs.existsSync(filePath)) return [];
+        const entries = [];
+        for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable audit log line in ${filePath}: ${line.slice(0, 80)}`);
+            }
+        }
+        return entries.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    }
+
+    return { record, readEntries, filePath };
+}
+
+// Filters: "action:<prefix>", "actor:<id>", "target:<id>", "result:<text>", "since:<YYYY-MM-DD>",
+// anything else is a case-insensitive search through the whole entry. All given terms must match.
+function matchesAuditFilter(entry, filter) {
+    const terms = (filter || "").trim().split(/\s+/).filter(Boolean);
+    return terms.every(term => {
+        const [key, value] = term.includes(":") ? [term.slice(0, term.indexOf(":")), term.slice(term.indexOf(":") + 1)] : [null, term];
+        switch (key) {
+            case "action":
+                return entry.action.startsWith(value);
+            case "actor":
+                return String(entry.actor?.id ?? entry.actor) === value;
+            case "target":
+                return Object.values(entry.target || {}).some(targetValue => String(targetValue) === value);
+            case "result":
+                return String(entry.result).toLowerCase().includes(value.toLowerCase());
+            case "since":
+                return entry.timestamp >= value;
+            default:
+                return JSON.stringify(entry).toLowerCase().includes(term.toLowerCase());
+        }
+    });
+}
+
+function formatAuditActor(actor) {
+    return actor && typeof actor === "object" ? `${actor.name} (${actor.id})` : String(actor);
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a UTF-8 BOM so spreadsheet apps show Arabic text correctly
+function toCsv(entries) {
+    const rows = entries.map(entry => [
+        entry.timestamp,
+        formatAuditActor(entry.actor),
+        entry.action,
+        entry.target,
+        entry.result,
+        entry.details
+    ].map(formatCsvValue).join(","));
+    return `\uFEFF${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+module.exports = {
+    createAuditLog,
+    matchesAuditFilter,
+    formatAuditActor,
+    toCsv
+};
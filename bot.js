@@ -0,0 +1,4211 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stringSimilarity = require("string-similarity");
+const { createUserRecord } = require("./storage");
+const { createAuditLog, matchesAuditFilter, formatAuditActor, toCsv } = require("./audit");
+const { createMetrics } = require("./metrics");
+const { createHttpServer } = require("./server");
+const { createCommandRegistry, parseCommand, isAddressedToOtherBot, chatTypeMatches } = require("./commands");
+const { getNextCronTime } = require("./schedule");
+const { createLlmProvider, PROVIDER_NAMES } = require("./llm");
+const { createKnowledgeBase } = require("./knowledge");
+const { wrapTelegramBot, createChatQueue, createCircuitBreaker, withRetry, isRetryableAiError, getAiRetryAfterMs } = require("./resilience");
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, t, localize, detectLanguage, languageFromTelegramCode, isSupportedLanguage } = require("./i18n");
+
+// 🤖 Verification Bot
+// createBot() registers every handler on the given node-telegram-bot-api instance (created with polling: false) and
+// keeps its state in the given store (see storage.js). Nothing is sent to Telegram until start(), so tests can drive
+// the bot through bot.processUpdate() against a fake Bot API server (see test/).
+// options:
+//   bot                — the TelegramBot instance; its outbound methods are queued and retried (see resilience.js)
+//   storage            — the state store from createStorage()
+//   env                — configuration variables (default: process.env)
+//   configDir          — folder with data.json, verification_questions.json and ai_config.json (default: the working directory)
+//   telegramQueue      — per-chat send queue (default: createChatQueue() with Telegram's rate limits)
+//   llmProviderFactory — builds the AI provider from ai_config.json (default: createLlmProvider from llm.js)
+function createBot({ bot, storage, env = process.env, configDir = ".", telegramQueue = createChatQueue(), llmProviderFactory = createLlmProvider }) {
+    // ⚙️ Configuration & Setup
+    const TOGETHER_AI_API_KEY = env.TOGETHER_AI_API_KEY;
+    const ADMIN_ID = Number(env.ADMIN_ID); // Bootstrap owner (always has every permission)
+    const PUBLIC_CHANNEL_ID = Number(env.PUBLIC_CHANNEL_ID);
+    const RESTRICTED_TOPIC_ID = Number(env.RESTRICTED_TOPIC_ID) || null; // Default to null if not a valid number or missing
+    const PRIVATE_GROUP_ID = env.PRIVATE_GROUP_ID;
+    const PRIVATE_GROUP_INVITE_LINK = env.PRIVATE_GROUP_INVITE_LINK || null; // Optional shared link, only offered if creating a personal link fails (make it a join-request link)
+    const INVITE_LINK_EXPIRY_HOURS = Number(env.INVITE_LINK_EXPIRY_HOURS) || 24; // Lifetime of each approved user's single-use invite link
+    const SESSION_TIMEOUT_MINUTES = Number(env.SESSION_TIMEOUT_MINUTES) || 60; // Unanswered questionnaires expire after this much inactivity
+    const SESSION_REMINDER_MINUTES = Number(env.SESSION_REMINDER_MINUTES) || 15; // Reminder DM this long before a session expires
+    const APPROVAL_TIMEOUT_HOURS = Number(env.APPROVAL_TIMEOUT_HOURS) || 72; // Unreviewed requests expire after this long
+    const BOT_MODE = env.BOT_MODE === "webhook" ? "webhook" : "polling"; // How updates arrive: "polling" (default) or "webhook"
+    const WEBHOOK_URL = env.WEBHOOK_URL; // Public HTTPS base URL of this server (webhook mode)
+    const WEBHOOK_PATH = env.WEBHOOK_PATH || "/telegram/webhook";
+    const WEBHOOK_SECRET = env.WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex"); // Checked against Telegram's secret token header
+    const HTTP_PORT = Number(env.PORT) || 8080; // HTTP server port (webhook, /healthz, /metrics); in polling mode the server only runs if PORT is set
+    const DIGEST_INTERVAL_HOURS = env.DIGEST_INTERVAL_HOURS !== undefined ? Number(env.DIGEST_INTERVAL_HOURS) : 24; // Pending-queue digest to reviewers (0 disables)
+    const REJECTION_COOLDOWN_HOURS = env.REJECTION_COOLDOWN_HOURS?.trim() && Number(env.REJECTION_COOLDOWN_HOURS) >= 0 ? Number(env.REJECTION_COOLDOWN_HOURS) : 24; // Wait before reapplying after the first rejection (0 disables, invalid values fall back to 24), doubled for each further rejection
+    const REJECTION_COOLDOWN_MAX_HOURS = Number(env.REJECTION_COOLDOWN_MAX_HOURS) || 30 * 24; // Upper bound for the growing cooldown
+    const BOT_USERNAME = env.BOT_USERNAME; // Bot's username WITHOUT the '@'
+    const REVIEW_GROUP_ID = Number(env.REVIEW_GROUP_ID) || null; // Optional group that receives verification requests instead of each reviewer's DM
+    const FAQ_SIMILARITY_THRESHOLD = Number(env.FAQ_SIMILARITY_THRESHOLD) || 0.75; // 0..1, how close a message must be to a keyword
+    const FAQ_COOLDOWN_SECONDS = Number(env.FAQ_COOLDOWN_SECONDS) || 60; // Per-chat cooldown between FAQ auto-replies
+    const AUDIT_LOG_PATH = env.AUDIT_LOG_PATH || "audit_log.jsonl"; // Append-only JSONL audit log (see audit.js)
+    const CONVERSATION_MAX_TURNS = Number(env.CONVERSATION_MAX_TURNS) || 10; // Past messages (user + bot) sent to the AI as context
+    const CONVERSATION_MAX_TOKENS = Number(env.CONVERSATION_MAX_TOKENS) || 2000; // Rough token budget for that context
+    const DEFAULT_CONVERSATION_TTL_MINUTES = 60; // How long AI chat history is kept (admins can change it with /aihistory)
+    const FAQ_REPLY_MODE = env.FAQ_REPLY_MODE === "random" ? "random" : "rotate"; // "rotate" (default) or "random"
+    const AI_TRIGGER_MODE = env.AI_TRIGGER_MODE || "reply"; // Default group trigger: "reply" (to the bot), "mention", "prefix" or "off" (see /aimode)
+    const AI_TRIGGER_PREFIX = env.AI_TRIGGER_PREFIX || "!ai"; // Default keyword for the "prefix" trigger
+    const WARN_MUTE_THRESHOLD = Number(env.WARN_MUTE_THRESHOLD) || 3; // Warnings after which every further warning mutes the user
+    const WARN_MUTE_MINUTES = Number(env.WARN_MUTE_MINUTES) || 24 * 60; // Length of that automatic mute
+    const WARN_BAN_THRESHOLD = Number(env.WARN_BAN_THRESHOLD) || 5; // Warnings after which the user is banned
+    const MODERATION_CHAT_ID = env.MODERATION_CHAT_ID || null; // Chat for spam reports (default: the owner and moderators by DM)
+    const SPAM_ACTION = env.SPAM_ACTION === "hold" ? "hold" : "delete"; // "delete" or "hold" (delete and mute the sender until reviewed)
+    const SPAM_HOLD_MINUTES = Number(env.SPAM_HOLD_MINUTES) || 60; // Mute length for "hold" (lifted early when the message is restored)
+    const SPAM_FLOOD_MESSAGES = Number(env.SPAM_FLOOD_MESSAGES) || 5; // Messages per user and chat allowed within SPAM_FLOOD_SECONDS
+    const SPAM_FLOOD_SECONDS = Number(env.SPAM_FLOOD_SECONDS) || 10;
+    const SPAM_DUPLICATE_CHATS = Number(env.SPAM_DUPLICATE_CHATS) || 2; // Same text in this many chats within SPAM_DUPLICATE_MINUTES is spam
+    const SPAM_DUPLICATE_MINUTES = Number(env.SPAM_DUPLICATE_MINUTES) || 10;
+    const SPAM_MAX_MENTIONS = Number(env.SPAM_MAX_MENTIONS) || 5; // Mentions in one message at which it counts as mass-mentioning
+    const SPAM_AI_MODERATION = env.SPAM_AI_MODERATION === "true"; // Also ask the LLM whether group messages are toxic
+    const LLM_API_KEY = env.LLM_API_KEY || null; // API key for the "openai" provider (optional for local servers, see ai_config.json)
+    const KB_PATH = env.KB_PATH || "knowledge_base.json"; // Knowledge base documents for AI answers (see knowledge.js and /kb)
+    const KB_MAX_PASSAGES = Number(env.KB_MAX_PASSAGES) || 3; // Passages (from different entries) added to the AI prompt
+    const KB_MIN_SCORE = Number(env.KB_MIN_SCORE) || 0.5; // Minimum BM25 score for a passage to count as relevant
+    const TELEGRAM_MESSAGE_LIMIT = 4096; // Longer texts are split over several messages (see sendLongMessage)
+    const TELEGRAM_MAX_RETRIES = env.TELEGRAM_MAX_RETRIES !== undefined ? Number(env.TELEGRAM_MAX_RETRIES) : 3; // Retries for failed Telegram calls (429, 5xx, network errors; sends only on 429 and failed connections)
+    const AI_MAX_RETRIES = env.AI_MAX_RETRIES !== undefined ? Number(env.AI_MAX_RETRIES) : 2; // Retries for failed AI requests before they count as a failure
+    const AI_CIRCUIT_FAILURES = Number(env.AI_CIRCUIT_FAILURES) || 5; // Consecutive failed AI requests that open the circuit (AI paused)
+    const AI_CIRCUIT_RESET_SECONDS = Number(env.AI_CIRCUIT_RESET_SECONDS) || 60; // How long the AI stays paused before one trial request
+    const POLLING_ALERT_THRESHOLD = Number(env.POLLING_ALERT_THRESHOLD) || 5; // Critical polling errors within POLLING_ALERT_WINDOW_MINUTES that DM the admin
+    const POLLING_ALERT_WINDOW_MINUTES = Number(env.POLLING_ALERT_WINDOW_MINUTES) || 5;
+    const POLLING_ALERT_COOLDOWN_MINUTES = Number(env.POLLING_ALERT_COOLDOWN_MINUTES) || 60; // Minimum time between two alerts
+
+    // ✅ Telegram Bot & AI Circuit Breaker
+    // Polling is started (or the webhook set) by start(), after every handler below is registered
+    // Outbound Telegram calls are queued per chat and retried (see resilience.js); AI requests are retried and
+    // go through a circuit breaker, so a failing provider is paused instead of being called for every message
+    const metrics = createMetrics();
+    wrapTelegramBot(bot, {
+        queue: telegramQueue,
+        retries: TELEGRAM_MAX_RETRIES,
+        onRetry: (method, error, attempt, delayMs) => {
+            metrics.increment("telegram_retries_total");
+            console.warn(`🔁 Telegram ${method} failed (${error.response?.statusCode || error.code}: ${error.message}). Retry ${attempt}/${TELEGRAM_MAX_RETRIES} in ${Math.round(delayMs / 1000)}s.`);
+        }
+    });
+    const aiCircuit = createCircuitBreaker({
+        name: "llm",
+        failureThreshold: AI_CIRCUIT_FAILURES,
+        resetTimeoutMs: AI_CIRCUIT_RESET_SECONDS * 1000,
+        onStateChange: state => {
+            if (state === "open") {
+                metrics.increment("ai_circuit_opened_total");
+                console.error(`🔌 AI circuit opened after ${AI_CIRCUIT_FAILURES} failed requests. AI features are paused for ${AI_CIRCUIT_RESET_SECONDS}s.`);
+            } else {
+                console.log(`🔌 AI circuit is now ${state}.`);
+            }
+        }
+    });
+
+    // All AI requests go through here (the model defaults to ai_config.json's); resolves to { content, usage } (see llm.js)
+    // and rejects with CircuitOpenError (without calling the provider) while the circuit is open
+    function createChatCompletion(params) {
+        return aiCircuit.run(() => withRetry(() => llmProvider.createChatCompletion({ model: aiConfig.model, ...params }), {
+            retries: AI_MAX_RETRIES,
+            baseDelayMs: 1000,
+            isRetryable: isRetryableAiError,
+            getRetryAfterMs: getAiRetryAfterMs,
+            onRetry: (error, attempt, delayMs) => console.warn(`🔁 AI request failed (${error.status || error.name}: ${error.message}). Retry ${attempt}/${AI_MAX_RETRIES} in ${Math.round(delayMs / 1000)}s.`)
+        }));
+    }
+
+    // 🗂️ Data Storage & Loading (Improved Error Handling)
+    const BOT_DATA_FILE = path.join(configDir, "data.json"); // Verification FAQ keywords & reference answers
+    const VERIFICATION_QUESTIONS_FILE = path.join(configDir, "verification_questions.json"); // Questionnaire bank (text / choice / yesno questions) + AI screening settings
+    const AI_CONFIG_FILE = path.join(configDir, "ai_config.json"); // LLM provider, model, temperature, max tokens and system prompt (changed at runtime with /aiconfig)
+
+    let botData = loadBotData(); // FAQ keywords & answers (falls back to default reference text if file is missing/corrupt)
+    let verificationQuestions = loadVerificationQuestions();
+
+    // 💾 Persistent verification state (survives restarts) — mutate these objects in place, then call saveState()
+    const verifiedUsers = storage.state.verifiedUsers;
+    const lastVerificationMessage = storage.state.lastVerificationMessage;
+    const aiScreeningLog = storage.state.aiScreeningLog;
+    const roles = storage.state.roles;
+    const settings = storage.state.settings;
+    const aiUsage = storage.state.aiUsage;
+    const languages = storage.state.languages;
+    const aiTriggers = storage.state.aiTriggers;
+    const topicRules = storage.state.topicRules;
+    const moderation = storage.state.moderation;
+    const spamReports = storage.state.spamReports;
+    const deepLinks = storage.state.deepLinks;
+    const scheduledBroadcasts = storage.state.scheduledBroadcasts;
+
+    function saveState() {
+        storage.save();
+    }
+
+    const auditLog = createAuditLog(AUDIT_LOG_PATH);
+
+    // Topic-rule deletions used to be kept in the state (topicAuditLog); move them into the audit log once
+    if (Array.isArray(storage.state.topicAuditLog)) {
+        for (const entry of storage.state.topicAuditLog) {
+            auditLog.record("topic.delete", {
+                timestamp: entry.at,
+                target: { chatId: entry.chatId, topicId: entry.topicId ?? null, userId: entry.userId, name: entry.name },
+                result: "deleted",
+                details: { rule: entry.rule, actions: entry.actions, text: entry.text }
+            });
+        }
+        console.log(`🔁 Moved ${storage.state.topicAuditLog.length} topic deletion entries from the state into the audit log.`);
+        delete storage.state.topicAuditLog;
+        saveState();
+    }
+    const knowledgeBase = createKnowledgeBase(KB_PATH);
+
+    // 🌐 Member Languages
+    // Priority: /lang override, then the language detected from the user's messages, then Telegram's language_code
+    function getUserLanguage(userId) {
+        const preferences = languages[userId];
+        return preferences?.override || preferences?.detected || preferences?.telegram || DEFAULT_LANGUAGE;
+    }
+
+    // Catalog text in the given user's language
+    function userText(userId, key, params = {}) {
+        return t(getUserLanguage(userId), key, params);
+    }
+
+    // Refreshes the language hints from an incoming message (only saved when something changed)
+    function updateUserLanguage(msg) {
+        const userId = msg.from.id;
+        const preferences = languages[userId] || { override: null, detected: null, telegram: null };
+        const telegram = languageFromTelegramCode(msg.from.language_code);
+        const detected = msg.text && !msg.text.startsWith("/") ? detectLanguage(msg.text) : null;
+
+        let changed = false;
+        if (telegram && telegram !== preferences.telegram) {
+            preferences.telegram = telegram;
+            changed = true;
+        }
+        if (detected && detected !== preferences.detected) {
+            preferences.detected = detected;
+            changed = true;
+        }
+        if (changed) {
+            languages[userId] = preferences;
+            saveState();
+        }
+    }
+
+    // 🛡️ Roles & Permissions
+    const ROLE_PERMISSIONS = {
+        owner: ["review", "sendverify", "topic_post", "manage_users", "manage_faq", "manage_ai", "manage_topics", "moderate", "audit", "broadcast", "manage_roles"],
+        moderator: ["review", "sendverify", "topic_post", "manage_users", "manage_faq", "manage_ai", "manage_topics", "moderate", "audit", "broadcast"],
+        reviewer: ["review"]
+    };
+    const ROLE_LABELS = { owner: "👑 مالك", moderator: "🛡️ مشرف", reviewer: "🔍 مراجع" };
+
+    function getUserRole(userId) {
+        if (Number(userId) === ADMIN_ID) return "owner";
+        return roles[userId] || null;
+    }
+
+    function hasPermission(userId, permission) {
+        const role = getUserRole(userId);
+        return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+    }
+
+    // Chats that receive verification requests: the review group if configured, otherwise every user who can review
+    function getReviewTargets() {
+        if (REVIEW_GROUP_ID) return [REVIEW_GROUP_ID];
+        const reviewerIds = Object.keys(roles).filter(id => hasPermission(id, "review")).map(Number);
+        return [...new Set([ADMIN_ID, ...reviewerIds])];
+    }
+
+    // Applies the same edit to every copy of a review message (one per reviewer DM, or the single review-group message)
+    async function updateReviewMessageCopies(reviewMessages, text, parseMode = "Markdown") {
+        for (const { chatId, messageId } of reviewMessages) {
+            try {
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...(parseMode ? { parse_mode: parseMode } : {}) });
+            } catch (editError) {
+                console.warn(`⚠️ Could not update review message ${messageId} in chat ${chatId}:`, editError.message);
+            }
+        }
+    }
+
+    // 👤 Verified User Records
+    const VERIFIED_PAGE_SIZE = 15; // Users per page in /verified
+
+    function isUserVerified(userId) {
+        return Boolean(verifiedUsers[userId]?.verified);
+    }
+
+    // Returns the user's record (creating it if needed); passing a Telegram user object also refreshes the stored name
+    function getUserRecord(userOrId) {
+        const userId = typeof userOrId === "object" ? userOrId.id : Number(userOrId);
+        if (!verifiedUsers[userId]) verifiedUsers[userId] = createUserRecord(userId);
+
+        const record = verifiedUsers[userId];
+        if (typeof userOrId === "object") {
+            record.username = userOrId.username || null;
+            record.firstName = userOrId.first_name || null;
+        }
+        return record;
+    }
+
+    // Looks a record up by numeric ID or (@)username
+    function findUserRecord(identifier) {
+        const value = (identifier || "").trim();
+        if (/^\d+$/.test(value)) return verifiedUsers[value] || null;
+
+        const username = value.replace(/^@/, "").toLowerCase();
+        if (!username) return null;
+        return Object.values(verifiedUsers).find(record => record.username?.toLowerCase() === username) || null;
+    }
+
+    // Who made a decision: the acting admin's Telegram user, or null for AI screening
+    function describeActor(actor) {
+        return actor ? { id: actor.id, name: actor.first_name } : "ai_screening";
+    }
+
+    // Marks the latest (still pending) submission in the user's history with the final decision
+    function resolveLatestSubmission(record, decision, actor, details = {}) {
+        const submission = record.history[record.history.length - 1];
+        if (submission && submission.decision === "pending") {
+            submission.decision = decision;
+            submission.decidedBy = describeActor(actor);
+            submission.decidedAt = new Date().toISOString();
+            Object.assign(submission, details);
+        }
+    }
+
+    function formatTimestamp(isoString) {
+        return isoString ? isoString.slice(0, 16).replace("T", " ") : "—";
+    }
+
+    // Escapes user-supplied text for parse_mode "Markdown" so names and answers can't break the message's formatting
+    function escapeMarkdown(text) {
+        return String(text ?? "").replace(/([_*`\[])/g, "\\$1");
+    }
+
+    function formatUserLabel(record) {
+        const name = record.firstName || "(بدون اسم)";
+        return record.username ? `${name} (@${record.username})` : name;
+    }
+
+    function loadBotData() {
+        try {
+            if (fs.existsSync(BOT_DATA_FILE)) {
+                const rawData = fs.readFileSync(BOT_DATA_FILE, "utf8");
+                return JSON.parse(rawData);
+            } else {
+                console.warn(`⚠️ Warning: ${BOT_DATA_FILE} not found. Using default data.`);
+                 // Provide default structure if file doesn't exist
+                return { verification_keywords: [], verification_reference: "⚠️ بيانات التوثيق غير متاحة. الرجاء التحقق من ملف data.json." };
+            }
+        } catch (error) {
+            console.error(`❌ Error loading or parsing ${BOT_DATA_FILE}:`, error);
+            // Fallback to default data on error
+            return { verification_keywords: [], verification_reference: "⚠️ بيانات التوثيق غير متاحة بسبب خطأ في التحميل." };
+        }
+    }
+
+
+    function saveBotData(data) {
+        try {
+            fs.writeFileSync(BOT_DATA_FILE, JSON.stringify(data, null, 4));
+        } catch (error) {
+            console.error(`❌ Error saving to ${BOT_DATA_FILE}:`, error);
+        }
+    }
+
+    // 🤖 AI configuration (ai_config.json); unknown or invalid values fall back to the defaults
+    const DEFAULT_AI_CONFIG = {
+        provider: "together", // "together" (TOGETHER_AI_API_KEY) or "openai" (any OpenAI-compatible server at base_url, LLM_API_KEY optional)
+        base_url: null, // e.g. "http://localhost:11434/v1" for a local server
+        model: "meta-llama/Llama-3.3-70B-Instruct-Turbo",
+        temperature: 0.7,
+        max_tokens: 512,
+        system_prompt: null // null = the per-language "ai.systemPrompt" from locales/; a string or { language: text } overrides it
+    };
+
+    function loadAiConfig() {
+        try {
+            if (!fs.existsSync(AI_CONFIG_FILE)) {
+                console.warn(`⚠️ Warning: ${AI_CONFIG_FILE} not found. Using the default AI settings.`);
+                return { ...DEFAULT_AI_CONFIG };
+            }
+            const config = { ...DEFAULT_AI_CONFIG, ...JSON.parse(fs.readFileSync(AI_CONFIG_FILE, "utf8")) };
+            if (!PROVIDER_NAMES.includes(config.provider)) {
+                console.error(`❌ Unknown AI provider "${config.provider}" in ${AI_CONFIG_FILE}. Using "${DEFAULT_AI_CONFIG.provider}".`);
+                config.provider = DEFAULT_AI_CONFIG.provider;
+            }
+            if (!(config.temperature >= 0 && config.temperature <= 2)) config.temperature = DEFAULT_AI_CONFIG.temperature;
+            if (!Number.isInteger(config.max_tokens) || config.max_tokens <= 0) config.max_tokens = DEFAULT_AI_CONFIG.max_tokens;
+            return config;
+        } catch (error) {
+            console.error(`❌ Error loading or parsing ${AI_CONFIG_FILE}:`, error);
+            return { ...DEFAULT_AI_CONFIG };
+        }
+    }
+
+    function saveAiConfig() {
+        try {
+            fs.writeFileSync(AI_CONFIG_FILE, `${JSON.stringify(aiConfig, null, 4)}\n`);
+        } catch (error) {
+            console.error(`❌ Error saving to ${AI_CONFIG_FILE}:`, error);
+        }
+    }
+
+    function buildLlmProvider() {
+        const provider = llmProviderFactory({
+            provider: aiConfig.provider,
+            baseUrl: aiConfig.base_url,
+            apiKey: aiConfig.provider === "together" ? TOGETHER_AI_API_KEY : LLM_API_KEY
+        });
+        if (!provider) {
+            console.warn(aiConfig.provider === "together"
+                ? "⚠️ Environment variable TOGETHER_AI_API_KEY is missing. AI features will be disabled. To enable AI, set your Together AI API Key (or use another provider in ai_config.json)."
+                : `⚠️ AI provider "${aiConfig.provider}" needs base_url in ${AI_CONFIG_FILE}. AI features will be disabled.`);
+        }
+        return provider;
+    }
+
+    function getAiSystemPrompt(language) {
+        return aiConfig.system_prompt ? localize(aiConfig.system_prompt, language) : t(language, "ai.systemPrompt");
+    }
+
+    const aiConfig = loadAiConfig();
+    let llmProvider = buildLlmProvider(); // null while AI is disabled (no API key / base URL)
+
+    // Choice options are an array, or { language: array } with the same number of options in every language
+    // (answers are mapped between languages by option index)
+    function hasValidChoiceOptions(options) {
+        const lists = Array.isArray(options) ? [options] : Object.values(options || {});
+        return lists.length > 0 && lists.every(list => Array.isArray(list) && list.length > 0 && list.length === lists[0].length);
+    }
+
+    function loadVerificationQuestions() {
+        // Fallback: the original single free-text question
+        const defaultConfig = {
+            questions_per_session: 1,
+            randomize: false,
+            questions: [{ id: "purpose", type: "text", always: true, text: "ما هو الغرض من التحقق في هذا المجتمع؟" }]
+        };
+        try {
+            if (fs.existsSync(VERIFICATION_QUESTIONS_FILE)) {
+                const rawData = fs.readFileSync(VERIFICATION_QUESTIONS_FILE, "utf8");
+                const config = JSON.parse(rawData);
+                // Drop malformed entries so one bad question doesn't break every session
+                const questions = (config.questions || []).filter(q =>
+                    q && localize(q.text, DEFAULT_LANGUAGE) && (q.type === "text" || q.type === "yesno" || (q.type === "choice" && hasValidChoiceOptions(q.options)))
+                );
+                if (questions.length === 0) {
+                    console.warn(`⚠️ Warning: ${VERIFICATION_QUESTIONS_FILE} has no valid questions. Using the default question.`);
+                    return defaultConfig;
+                }
+                return { ...config, questions };
+            } else {
+                console.warn(`⚠️ Warning: ${VERIFICATION_QUESTIONS_FILE} not found. Using the default verification question.`);
+                return defaultConfig;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Warning: Error loading or parsing ${VERIFICATION_QUESTIONS_FILE}. Using the default verification question.`, error);
+            return defaultConfig;
+        }
+    }
+
+    // ⏳ Verification Session Management (both persisted in the state store)
+    const verificationSessions = storage.state.verificationSessions; // Stores { userId: { questions: [...], step: 0, answers: ["..."], startedAt, lastActivityAt, remindedAt } }
+    const pendingApprovals = storage.state.pendingApprovals; // Stores { userId: { transcript: [{ question: "...", type: "...", answer: "..." }], submittedAt } }
+
+    // 🚫 Topic Rules
+    // Rules are kept per chat or forum topic ("<chatId>" or "<chatId>:<topicId>") and managed with /topicrule inside it.
+    // Each rule is { type, seconds?, actions: ["delete" | "warn" | "mute"], muteMinutes? }; staff with the
+    // "topic_post" permission are exempt. RESTRICTED_TOPIC_ID keeps working as an implicit admin-only rule
+    // for topics that have no rules of their own.
+    const TOPIC_RULE_TYPES = {
+        adminonly: "admin_only",
+        verifiedonly: "verified_only",
+        mediaonly: "media_only",
+        nolinks: "no_links",
+        slowmode: "slowmode"
+    };
+    const TOPIC_RULE_LABELS = {
+        admin_only: "👑 للمشرفين فقط",
+        verified_only: "✅ للموثقين فقط",
+        media_only: "🖼️ وسائط فقط",
+        no_links: "🔗 منع الروابط",
+        slowmode: "🐢 وضع بطيء"
+    };
+    const TOPIC_RULE_ACTIONS = ["delete", "warn", "mute"];
+    const DEFAULT_TOPIC_MUTE_MINUTES = 10;
+    const MEDIA_MESSAGE_FIELDS = ["photo", "video", "animation", "document", "audio", "voice", "video_note", "sticker"];
+    const LINK_PATTERN = /(https?:\/\/|www\.|t\.me\/|telegram\.me\/)\S+/i;
+    const topicLastPostAt = new Map(); // "<ruleKey>:<userId>" -> timestamp of the user's last accepted post (slow mode)
+
+    function getTopicRuleKey(msg) {
+        return msg.is_topic_message && msg.message_thread_id ? `${msg.chat.id}:${msg.message_thread_id}` : String(msg.chat.id);
+    }
+
+    function getTopicRules(msg) {
+        const rules = topicRules[getTopicRuleKey(msg)];
+        if (rules && rules.length > 0) return rules;
+        if (RESTRICTED_TOPIC_ID && msg.is_topic_message && msg.message_thread_id === RESTRICTED_TOPIC_ID) {
+            return [{ type: "admin_only", actions: ["delete"] }];
+        }
+        return [];
+    }
+
+    function messageHasLink(msg) {
+        const entities = [...(msg.entities || []), ...(msg.caption_entities || [])];
+        if (entities.some(entity => entity.type === "url" || entity.type === "text_link")) return true;
+        return LINK_PATTERN.test(msg.text || msg.caption || "");
+    }
+
+    // Returns true when the message breaks the rule
+    function violatesTopicRule(rule, msg, ruleKey) {
+        const userId = msg.from.id;
+        switch (rule.type) {
+            case "admin_only":
+                return true; // Staff are exempt before rules are checked
+            case "verified_only":
+                return !isUserVerified(userId);
+            case "media_only":
+                return !MEDIA_MESSAGE_FIELDS.some(field => msg[field]);
+            case "no_links":
+                return messageHasLink(msg);
+            case "slowmode": {
+                const lastPostAt = topicLastPostAt.get(`${ruleKey}:${userId}`);
+                return Boolean(lastPostAt) && Date.now() - lastPostAt < rule.seconds * 1000;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Restricts a member from sending anything until the given number of minutes has passed
+    async function muteChatMember(chatId, userId, minutes) {
+        await bot.restrictChatMember(chatId, userId, {
+            permissions: JSON.stringify({ can_send_messages: false, can_send_other_messages: false, can_add_web_page_previews: false }),
+            until_date: Math.floor(Date.now() / 1000) + minutes * 60
+        });
+    }
+
+    async function unmuteChatMember(chatId, userId) {
+        await bot.restrictChatMember(chatId, userId, {
+            permissions: JSON.stringify({
+                can_send_messages: true,
+                can_send_audios: true,
+                can_send_documents: true,
+                can_send_photos: true,
+                can_send_videos: true,
+                can_send_video_notes: true,
+                can_send_voice_notes: true,
+                can_send_polls: true,
+                can_send_other_messages: true,
+                can_add_web_page_previews: true
+            })
+        });
+    }
+
+    // Applies the first rule the message breaks; returns true when the message was deleted
+    async function handleTopicRules(msg) {
+        if (!msg.from || hasPermission(msg.from.id, "topic_post")) return false;
+        const rules = getTopicRules(msg);
+        if (rules.length === 0) return false;
+
+        const userId = msg.from.id;
+        const chatId = msg.chat.id;
+        const ruleKey = getTopicRuleKey(msg);
+        const rule = rules.find(candidate => violatesTopicRule(candidate, msg, ruleKey));
+        if (!rule) {
+            topicLastPostAt.set(`${ruleKey}:${userId}`, Date.now());
+            return false;
+        }
+
+        let deleted = false;
+        if (rule.actions.includes("delete")) {
+            let result = "deleted";
+            try {
+                await bot.deleteMessage(chatId, msg.message_id);
+                deleted = true;
+                console.log(`🗑️ Deleted message from user ${userId} in ${ruleKey} (rule: ${rule.type}).`);
+            } catch (error) {
+                console.error(`❌ Error deleting message in ${ruleKey} (Msg ID: ${msg.message_id}):`, error.response?.body || error.message);
+                result = `failed: ${error.response?.body?.description || error.message}`;
+            }
+            auditLog.record("topic.delete", {
+                target: { chatId, topicId: msg.message_thread_id || null, userId, name: msg.from.first_name },
+                result,
+                details: { rule: rule.type, actions: rule.actions, text: (msg.text || msg.caption || "").slice(0, 200) }
+            });
+        }
+
+        let muted = false;
+        const muteMinutes = rule.muteMinutes || DEFAULT_TOPIC_MUTE_MINUTES;
+        if (rule.actions.includes("mute")) {
+            try {
+                await muteChatMember(chatId, userId, muteMinutes);
+                muted = true;
+                console.log(`🔇 Muted user ${userId} in chat ${chatId} for ${muteMinutes} minutes (rule: ${rule.type}).`);
+            } catch (error) {
+                console.error(`❌ Error muting user ${userId} in chat ${chatId}:`, error.response?.body || error.message);
+            }
+        }
+
+        if (rule.actions.includes("warn")) {
+            let warning = userText(userId, "topicRules.warn", {
+                name: msg.from.first_name,
+                reason: userText(userId, `topicRules.reason.${rule.type}`, { seconds: rule.seconds })
+            });
+            if (muted) warning += `\n${userText(userId, "topicRules.muted", { minutes: muteMinutes })}`;
+            const options = msg.message_thread_id ? { message_thread_id: msg.message_thread_id } : {};
+            if (!deleted) options.reply_to_message_id = msg.message_id;
+            bot.sendMessage(chatId, warning, options).catch(error => console.error(`❌ Error sending topic rule warning in ${ruleKey}:`, error.message));
+        }
+        return deleted;
+    }
+
+    function formatTopicRule(rule) {
+        let text = TOPIC_RULE_LABELS[rule.type];
+        if (rule.type === "slowmode") text += ` (${rule.seconds} ثانية)`;
+        text += ` ← ${rule.actions.join(", ")}`;
+        if (rule.actions.includes("mute")) text += ` (${rule.muteMinutes || DEFAULT_TOPIC_MUTE_MINUTES} دقيقة)`;
+        return text;
+    }
+
+    // 🔨 Moderation (warn / mute / ban)
+    // Every user who was moderated has an entry in `moderation` with their warnings and the actions taken.
+    // Warnings escalate: from WARN_MUTE_THRESHOLD on each warning mutes for WARN_MUTE_MINUTES, at WARN_BAN_THRESHOLD the user is banned.
+    const DEFAULT_MUTE_MINUTES = 60;
+    const PURGE_LIMIT = 100; // deleteMessages batch size: a /purge covers up to 99 messages plus the command itself
+    const MODERATION_ACTION_LABELS = { warn: "⚠️ تحذير", mute: "🔇 كتم", unmute: "🔊 رفع الكتم", ban: "⛔ حظر", unban: "✅ رفع الحظر" };
+
+    function getModerationRecord(user) {
+        const record = moderation[user.id] || (moderation[user.id] = { name: null, warnings: [], actions: [] });
+        if (user.first_name) record.name = user.first_name;
+        return record;
+    }
+
+    // `escalated` marks actions taken automatically because of the warning count (attributed to the warning admin)
+    function recordModerationAction(user, chatId, type, actor, details = {}) {
+        getModerationRecord(user).actions.push({ at: new Date().toISOString(), chatId, type, by: describeActor(actor), ...details });
+        saveState();
+        auditLog.record(`moderation.${type}`, { actor: describeActor(actor), target: { userId: user.id, name: user.first_name, chatId }, details });
+    }
+
+    // "30" / "30m" → 30, "2h" → 120, "1d" → 1440; null when unparsable
+    function parseDurationMinutes(text) {
+        const match = /^(\d+)([mhd]?)$/i.exec(text || "");
+        if (!match || Number(match[1]) <= 0) return null;
+        return Number(match[1]) * { "": 1, m: 1, h: 60, d: 1440 }[match[2].toLowerCase()];
+    }
+
+    // Posts a moderation notice in the chat (and topic) of the command, in the target user's language
+    function announceModeration(msg, targetUserId, key, params) {
+        const options = msg.message_thread_id && msg.is_topic_message ? { message_thread_id: msg.message_thread_id } : {};
+        return bot.sendMessage(msg.chat.id, userText(targetUserId, key, params), options)
+            .catch(error => console.error(`❌ Error sending moderation notice in chat ${msg.chat.id}:`, error.message));
+    }
+
+    function formatModerationReason(userId, reason) {
+        return reason ? userText(userId, "moderation.reason", { reason }) : "";
+    }
+
+    async function muteUser(msg, user, minutes, actor, reason, escalated = false) {
+        await muteChatMember(msg.chat.id, user.id, minutes);
+        recordModerationAction(user, msg.chat.id, "mute", actor, { minutes, reason, escalated });
+        const duration = formatWaitTime(minutes * 60 * 1000, getUserLanguage(user.id));
+        if (escalated) {
+            await announceModeration(msg, user.id, "moderation.escalatedMute", { name: user.first_name, count: moderation[user.id].warnings.length, duration });
+        } else {
+            await announceModeration(msg, user.id, "moderation.muted", { name: user.first_name, duration, reason: formatModerationReason(user.id, reason) });
+        }
+        console.log(`🔇 User ${user.id} muted in chat ${msg.chat.id} for ${minutes} minutes by admin ${actor.id}${escalated ? " (warning escalation)" : ""}.`);
+    }
+
+    // Bans the user from the chat and revokes their verification (which also removes them from the private group)
+    async function banUser(msg, user, actor, reason, escalated = false) {
+        await bot.banChatMember(msg.chat.id, user.id);
+        recordModerationAction(user, msg.chat.id, "ban", actor, { reason, escalated });
+        if (escalated) {
+            await announceModeration(msg, user.id, "moderation.escalatedBan", { name: user.first_name, count: moderation[user.id].warnings.length });
+        } else {
+            await announceModeration(msg, user.id, "moderation.banned", { name: user.first_name, reason: formatModerationReason(user.id, reason) });
+        }
+        console.log(`⛔ User ${user.id} banned from chat ${msg.chat.id} by admin ${actor.id}${escalated ? " (warning escalation)" : ""}.`);
+
+        if (isUserVerified(user.id)) {
+            const feedback = await revokeUserVerification(user.id, actor);
+            console.log(`↩️ Verification of banned user ${user.id} revoked: ${feedback}`);
+        }
+    }
+
+    async function warnUser(msg, user, actor, reason) {
+        const record = getModerationRecord(user);
+        record.warnings.push({ at: new Date().toISOString(), chatId: msg.chat.id, by: describeActor(actor), reason });
+        recordModerationAction(user, msg.chat.id, "warn", actor, { reason }); // Also saves the warning
+        const count = record.warnings.length;
+        await announceModeration(msg, user.id, "moderation.warned", { name: user.first_name, count, reason: formatModerationReason(user.id, reason) });
+        console.log(`⚠️ User ${user.id} warned in chat ${msg.chat.id} by admin ${actor.id} (${count} warnings).`);
+
+        if (count >= WARN_BAN_THRESHOLD) {
+            await banUser(msg, user, actor, reason, true);
+        } else if (count >= WARN_MUTE_THRESHOLD) {
+            await muteUser(msg, user, WARN_MUTE_MINUTES, actor, reason, true);
+        }
+    }
+
+    // 🧹 Anti-Spam & AI Content Moderation (group messages from non-staff)
+    // Rule checks: flooding, the same text across chats, links/forwards from unverified users, mass mentions;
+    // optionally an LLM toxicity check. A flagged message is copied to the moderators, deleted (and with
+    // SPAM_ACTION=hold the sender is muted) and reported with buttons to restore it or ban the sender.
+    const SPAM_REPORT_LIMIT = 200; // Unresolved reports kept for the restore/ban buttons
+    const SPAM_DUPLICATE_MIN_LENGTH = 15; // Shorter texts ("thanks", "hi") are legitimately repeated
+    const AI_MODERATION_MIN_LENGTH = 10; // Shorter texts aren't sent to the AI toxicity check
+    const AI_MODERATION_CHAT_LIMIT = { bucketSize: 20, refillPerMinute: 10 }; // AI toxicity checks per chat (see refillRateBucket); beyond it only the rule checks run
+    const SPAM_REASON_LABELS = {
+        flood: "🌊 إغراق المحادثة برسائل متتالية",
+        duplicate: "📑 نفس الرسالة في عدة محادثات",
+        link: "🔗 رابط من مستخدم غير موثق",
+        forward: "↪️ رسالة محولة من مستخدم غير موثق",
+        mentions: "📣 إشارات جماعية",
+        toxic: "☣️ محتوى مسيء (الذكاء الاصطناعي)"
+    };
+    const floodTimestamps = new Map(); // "<chatId>:<userId>" -> recent message timestamps
+    const recentUserTexts = new Map(); // userId -> [{ text, chatId, at }]
+    const lastSpamReportAt = new Map(); // "<chatId>:<userId>" -> last report time (one report per burst)
+    const moderationRateBuckets = {}; // Stores { chatId: { tokens, updatedAt } } for the AI toxicity check
+
+    // Chats that receive spam reports: MODERATION_CHAT_ID if configured, otherwise everyone who can moderate
+    function getModerationReportTargets() {
+        if (MODERATION_CHAT_ID) return [MODERATION_CHAT_ID];
+        const moderatorIds = Object.keys(roles).filter(id => hasPermission(id, "moderate")).map(Number);
+        return [...new Set([ADMIN_ID, ...moderatorIds])];
+    }
+
+    function isFlooding(msg) {
+        const key = `${msg.chat.id}:${msg.from.id}`;
+        const now = Date.now();
+        const timestamps = (floodTimestamps.get(key) || []).filter(at => now - at < SPAM_FLOOD_SECONDS * 1000);
+        timestamps.push(now);
+        floodTimestamps.set(key, timestamps);
+        return timestamps.length > SPAM_FLOOD_MESSAGES;
+    }
+
+    function isDuplicateAcrossChats(msg, text) {
+        const normalized = text.toLowerCase().replace(/\s+/g, " ").trim();
+        if (normalized.length < SPAM_DUPLICATE_MIN_LENGTH) return false;
+        const now = Date.now();
+        const entries = (recentUserTexts.get(msg.from.id) || []).filter(entry => now - entry.at < SPAM_DUPLICATE_MINUTES * 60 * 1000);
+        entries.push({ text: normalized, chatId: msg.chat.id, at: now });
+        recentUserTexts.set(msg.from.id, entries.slice(-20));
+        const chats = new Set(entries.filter(entry => entry.text === normalized).map(entry => entry.chatId));
+        return chats.size >= SPAM_DUPLICATE_CHATS;
+    }
+
+    function countMentions(msg) {
+        const entities = [...(msg.entities || []), ...(msg.caption_entities || [])];
+        return entities.filter(entity => entity.type === "mention" || entity.type === "text_mention").length;
+    }
+
+    // Returns { flagged, reason } or null (disabled, AI unavailable, short text, chat over its budget or unparsable response)
+    async function classifyToxicity(text, chatId) {
+        if (!SPAM_AI_MODERATION || !llmProvider || text.trim().length < AI_MODERATION_MIN_LENGTH) return null;
+        if (refillRateBucket(moderationRateBuckets, chatId, AI_MODERATION_CHAT_LIMIT) > 0) {
+            console.log(`🚦 AI moderation skipped in chat ${chatId} (budget used up).`);
+            return null;
+        }
+        moderationRateBuckets[chatId].tokens -= 1;
+        metrics.increment("ai_calls_total");
+        try {
+            const response = await createChatCompletion({
+                messages: [
+                    {
+                        role: "system",
+                        content: `You moderate messages in a Telegram community (mostly Arabic). Flag a message only if it contains insults, harassment, hate speech, threats, sexual content or scams. Ordinary disagreement and mild language are fine.\n\nRespond with JSON only, no other text: {"flagged": true | false, "reason": "<one short sentence in Arabic>"}`
+                    },
+                    { role: "user", content: text }
+                ],
+                max_tokens: 100,
+                temperature: 0,
+            });
+            const content = response.content || "";
+            const parsed = JSON.parse(content.match(/\{[\s\S]*\}/)?.[0] || "null");
+            if (!parsed || typeof parsed.flagged !== "boolean") {
+                console.warn(`⚠️ AI moderation returned an unparsable response: ${content}`);
+                return null;
+            }
+            return { flagged: parsed.flagged, reason: String(parsed.reason || "").trim() };
+        } catch (error) {
+            console.error("❌ خطأ من مزود الذكاء الاصطناعي عند فحص محتوى الرسالة:", error.message);
+            auditLog.record("ai.error", { result: error.message, details: { context: "moderation" } });
+            metrics.increment("ai_errors_total");
+            return null;
+        }
+    }
+
+    // Returns the list of reasons the message is spam (empty when it is fine)
+    async function detectSpam(msg) {
+        const text = msg.text || msg.caption || "";
+        const reasons = [];
+        if (isFlooding(msg)) reasons.push("flood");
+        if (isDuplicateAcrossChats(msg, text)) reasons.push("duplicate");
+        if (!isUserVerified(msg.from.id)) {
+            if (messageHasLink(msg)) reasons.push("link");
+            if (msg.forward_origin || msg.forward_date) reasons.push("forward");
+        }
+        if (countMentions(msg) >= SPAM_MAX_MENTIONS) reasons.push("mentions");
+        if (reasons.length > 0) return reasons; // No need to spend an AI call on obvious spam
+
+        const toxicity = await classifyToxicity(text, msg.chat.id);
+        if (toxicity?.flagged) reasons.push(toxicity.reason ? `toxic:${toxicity.reason}` : "toxic");
+        return reasons;
+    }
+
+    function formatSpamReasons(reasons) {
+        return reasons.map(reason => {
+            const [type, detail] = reason.split(/:(.*)/s);
+            return detail ? `${SPAM_REASON_LABELS[type]} — ${detail}` : SPAM_REASON_LABELS[type];
+        }).join("\n");
+    }
+
+    // Copies the message to the moderators with restore/ban buttons, then deletes it (and mutes the sender when holding)
+    async function reportSpamMessage(msg, reasons) {
+        const userId = msg.from.id;
+        const chatId = msg.chat.id;
+        const burstKey = `${chatId}:${userId}`;
+        const alreadyReported = Date.now() - (lastSpamReportAt.get(burstKey) || 0) < SPAM_FLOOD_SECONDS * 1000;
+        lastSpamReportAt.set(burstKey, Date.now());
+
+        const reportId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+        const report = {
+            chatId,
+            chatTitle: msg.chat.title || null,
+            topicId: msg.is_topic_message ? msg.message_thread_id : null,
+            userId,
+            name: msg.from.first_name,
+            reasons,
+            action: SPAM_ACTION,
+            at: new Date().toISOString(),
+            copy: null, // { chatId, messageId } of the first moderator copy, used to restore the message
+            reviewMessages: []
+        };
+
+        // Follow-up messages of the same burst are only deleted; the first report already covers the sender
+        if (!alreadyReported) {
+            const username = msg.from.username ? `@${msg.from.username}` : "(لا يوجد)";
+            const actionText = SPAM_ACTION === "hold" ? `حُذفت وكُتم المرسل ${SPAM_HOLD_MINUTES} دقيقة بانتظار المراجعة` : "حُذفت";
+            const reportText = `🛡️ رسالة مشبوهة
+👤 المرسل: ${msg.from.first_name} (${username}) (ID: ${userId})
+💬 المحادثة: ${msg.chat.title || chatId}${report.topicId ? ` (موضوع ${report.topicId})` : ""}
+🚩 السبب:
+${formatSpamReasons(reasons)}
+⚙️ الإجراء: ${actionText}`;
+            const keyboard = [[
+                { text: "♻️ استعادة الرسالة", callback_data: `spamrestore_${reportId}` },
+                { text: "⛔ حظر المرسل", callback_data: `spamban_${reportId}` }
+            ]];
+
+            for (const targetChatId of getModerationReportTargets()) {
+                try {
+                    const copied = await bot.copyMessage(targetChatId, chatId, msg.message_id);
+                    report.copy = report.copy || { chatId: targetChatId, messageId: copied.message_id };
+                    const sent = await bot.sendMessage(targetChatId, reportText, {
+                        reply_to_message_id: copied.message_id,
+                        reply_markup: { inline_keyboard: keyboard }
+                    });
+                    report.reviewMessages.push({ chatId: targetChatId, messageId: sent.message_id });
+                } catch (error) {
+                    console.error(`❌ Error sending spam report to ${targetChatId}:`, error.response?.body || error.message);
+                }
+            }
+            if (report.reviewMessages.length > 0) {
+                spamReports[reportId] = report;
+                const reportIds = Object.keys(spamReports);
+                if (reportIds.length > SPAM_REPORT_LIMIT) delete spamReports[reportIds[0]]; // Oldest first (insertion order)
+                saveState();
+            }
+        }
+
+        try {
+            await bot.deleteMessage(chatId, msg.message_id);
+        } catch (error) {
+            console.error(`❌ Error deleting spam message ${msg.message_id} in chat ${chatId}:`, error.response?.body || error.message);
+        }
+        if (SPAM_ACTION === "hold" && !alreadyReported) {
+            try {
+                await muteChatMember(chatId, userId, SPAM_HOLD_MINUTES);
+            } catch (error) {
+                console.error(`❌ Error muting spam sender ${userId} in chat ${chatId}:`, error.response?.body || error.message);
+            }
+        }
+        console.log(`🛡️ Spam from user ${userId} in chat ${chatId} (${reasons.join(", ")}) — ${alreadyReported ? "deleted (same burst)" : `reported as ${reportId}`}.`);
+        auditLog.record("spam.flag", {
+            target: { chatId, messageId: msg.message_id, userId, name: msg.from.first_name },
+            result: alreadyReported ? "deleted (same burst)" : SPAM_ACTION,
+            details: { reasons, reportId: alreadyReported ? null : reportId, text: (msg.text || msg.caption || "").slice(0, 200) }
+        });
+    }
+
+    // Returns true when the message was flagged (and removed)
+    async function handleSpamFilter(msg) {
+        if (msg.chat.type === "private" || !msg.from || msg.from.is_bot || getUserRole(msg.from.id)) return false;
+        const reasons = await detectSpam(msg);
+        if (reasons.length === 0) return false;
+        await reportSpamMessage(msg, reasons);
+        return true;
+    }
+
+    // Handles the restore/ban buttons of a spam report (moderators only)
+    async function handleSpamReportCallback(query) {
+        const [action, reportId] = query.data.split("_");
+        const report = spamReports[reportId];
+        if (!report) {
+            await bot.answerCallbackQuery(query.id, { text: "⚠️ تمت معالجة هذا البلاغ بالفعل أو انتهت صلاحيته." });
+            return;
+        }
+        // Claim the report before acting so two moderators can't handle it twice
+        delete spamReports[reportId];
+        saveState();
+        await bot.answerCallbackQuery(query.id);
+
+        const moderator = query.from;
+        const sender = { id: report.userId, first_name: report.name };
+        const threadOptions = report.topicId ? { message_thread_id: report.topicId } : {};
+        let resultText;
+
+        if (action === "spamrestore") {
+            try {
+                if (report.action === "hold") await unmuteChatMember(report.chatId, report.userId);
+                await bot.sendMessage(report.chatId, userText(report.userId, "spam.restored", { name: report.name }), threadOptions);
+                await bot.copyMessage(report.chatId, report.copy.chatId, report.copy.messageId, threadOptions);
+                resultText = `♻️ تمت استعادة الرسالة بواسطة ${moderator.first_name}.`;
+                console.log(`♻️ Spam report ${reportId} restored by admin ${moderator.id}.`);
+            } catch (error) {
+                console.error(`❌ Error restoring spam report ${reportId}:`, error.response?.body || error.message);
+                resultText = "❌ تعذرت استعادة الرسالة.";
+            }
+        } else {
+            // A pseudo message so banUser() announces in the chat (and topic) the spam was posted in
+            const chatMessage = { chat: { id: report.chatId }, message_thread_id: report.topicId, is_topic_message: Boolean(report.topicId) };
+            try {
+                await banUser(chatMessage, sender, moderator, "سبام");
+                resultText = `⛔ تم حظر المرسل بواسطة ${moderator.first_name}.`;
+            } catch (error) {
+                console.error(`❌ Error banning spam sender ${report.userId}:`, error.response?.body || error.message);
+                resultText = "❌ تعذر حظر المرسل. تأكد من صلاحيات البوت.";
+            }
+        }
+
+        auditLog.record(action === "spamrestore" ? "spam.restore" : "spam.ban", { actor: describeActor(moderator), target: { chatId: report.chatId, userId: report.userId, reportId }, result: resultText });
+        await updateReviewMessageCopies(report.reviewMessages, `🛡️ رسالة مشبوهة من ${report.name} (ID: ${report.userId})\n${resultText}`, null);
+    }
+
+    // ❓ Verification FAQ Auto-Replies (fuzzy keyword matching against data.json)
+    const faqCooldowns = {}; // Stores { chatId: timestampOfLastReply }
+    let faqRotationIndex = 0;
+
+    // Normalize Arabic text so spelling variants compare closer (diacritics, alef/ya/ta marbuta forms, tatweel)
+    function normalizeFaqText(text) {
+        return text
+            .toLowerCase()
+            .replace(/[\u064B-\u0652\u0670\u0640]/g, "") // Tashkeel + tatweel
+            .replace(/[إأآٱ]/g, "ا")
+            .replace(/ى/g, "ي")
+            .replace(/ة/g, "ه")
+            .replace(/[^\p{L}\p{N}\s]/gu, " ") // Drop punctuation (؟ ! . etc.)
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    function getFaqKeywords() {
+        return Array.isArray(botData.verification_keywords) ? botData.verification_keywords : [];
+    }
+
+    function getFaqAnswers() {
+        const reference = botData.verification_reference;
+        if (Array.isArray(reference)) return reference;
+        return reference ? [reference] : [];
+    }
+
+    // Returns { keyword, rating } for the closest keyword, comparing against the whole message
+    // and against every word window of the keyword's length (so a keyword inside a longer sentence still matches)
+    function findBestFaqMatch(text) {
+        const normalizedText = normalizeFaqText(text);
+        if (!normalizedText) return null;
+        const words = normalizedText.split(" ");
+
+        let best = null;
+        for (const keyword of getFaqKeywords()) {
+            const normalizedKeyword = normalizeFaqText(keyword);
+            if (!normalizedKeyword) continue;
+
+            const candidates = [normalizedText];
+            const windowSize = normalizedKeyword.split(" ").length;
+            if (words.length > windowSize) {
+                for (let i = 0; i + windowSize <= words.length; i++) {
+                    candidates.push(words.slice(i, i + windowSize).join(" "));
+                }
+            }
+
+            const rating = stringSimilarity.findBestMatch(normalizedKeyword, candidates).bestMatch.rating;
+            if (!best || rating > best.rating) best = { keyword, rating };
+        }
+        return best;
+    }
+
+    function pickFaqAnswer() {
+        const answers = getFaqAnswers();
+        if (answers.length === 0) return null;
+        if (FAQ_REPLY_MODE === "random") {
+            return answers[Math.floor(Math.random() * answers.length)];
+        }
+        const answer = answers[faqRotationIndex % answers.length];
+        faqRotationIndex = (faqRotationIndex + 1) % answers.length;
+        return answer;
+    }
+
+    // Returns true if the message matched a verification keyword (whether or not a reply was sent due to cooldown)
+    async function handleVerificationFaqMessage(msg) {
+        const match = findBestFaqMatch(msg.text);
+        if (!match || match.rating < FAQ_SIMILARITY_THRESHOLD) return false;
+
+        const chatId = msg.chat.id;
+        const now = Date.now();
+        if (faqCooldowns[chatId] && now - faqCooldowns[chatId] < FAQ_COOLDOWN_SECONDS * 1000) {
+            console.log(`⏱️ FAQ match in chat ${chatId} skipped (cooldown active).`);
+            return true;
+        }
+
+        const answer = pickFaqAnswer();
+        if (!answer) return false;
+
+        faqCooldowns[chatId] = now;
+        try {
+            // Plain text: answers are edited by admins (/faq), and a stray * or _ would make a Markdown reply fail
+            await bot.sendMessage(chatId, answer, { reply_to_message_id: msg.message_id });
+            console.log(`❓ FAQ auto-reply sent in chat ${chatId} (keyword: "${match.keyword}", similarity: ${match.rating.toFixed(2)}).`);
+        } catch (error) {
+            console.error(`❌ Error sending FAQ auto-reply in chat ${chatId}:`, error.response?.body || error.message);
+        }
+        return true;
+    }
+
+
+    // --- Command Handlers ---
+
+    // /faq command handler (admin-only keyword & answer management)
+    async function handleFaqCommand(msg, args) {
+        const userId = msg.from.id;
+
+        const subCommand = (args[0] || "").toLowerCase();
+        const value = args.slice(1).join(" ").trim();
+        const keywords = getFaqKeywords();
+        const answers = getFaqAnswers();
+
+        switch (subCommand) {
+            case "list": {
+                const answerPreviews = answers.map((answer, i) => `${i + 1}. ${answer.split("\n")[0]}`).join("\n");
+                bot.sendMessage(userId, `🔑 الكلمات المفتاحية (${keywords.length}):\n${keywords.join("، ") || "(لا يوجد)"}\n\n💬 الإجابات (${answers.length}):\n${answerPreviews || "(لا يوجد)"}\n\n🎯 حد التشابه: ${FAQ_SIMILARITY_THRESHOLD} | ⏱️ التهدئة: ${FAQ_COOLDOWN_SECONDS} ثانية`);
+                return;
+            }
+            case "addkw":
+                if (!value) break;
+                if (keywords.includes(value)) {
+                    bot.sendMessage(userId, "ℹ️ هذه الكلمة المفتاحية موجودة بالفعل.");
+                    return;
+                }
+                botData.verification_keywords = [...keywords, value];
+                saveBotData(botData);
+                bot.sendMessage(userId, `✅ تمت إضافة الكلمة المفتاحية: ${value}`);
+                return;
+            case "delkw":
+                if (!value) break;
+                if (!keywords.includes(value)) {
+                    bot.sendMessage(userId, "⚠️ لم يتم العثور على هذه الكلمة المفتاحية.");
+                    return;
+                }
+                botData.verification_keywords = keywords.filter(keyword => keyword !== value);
+                saveBotData(botData);
+                bot.sendMessage(userId, `🗑️ تم حذف الكلمة المفتاحية: ${value}`);
+                return;
+            case "addans":
+                if (!value) break;
+                botData.verification_reference = [...answers, value];
+                saveBotData(botData);
+                bot.sendMessage(userId, `✅ تمت إضافة الإجابة رقم ${answers.length + 1}.`);
+                return;
+            case "delans": {
+                const index = Number(value) - 1;
+                if (!Number.isInteger(index) || index < 0 || index >= answers.length) {
+                    bot.sendMessage(userId, `⚠️ رقم إجابة غير صالح. استخدم رقمًا بين 1 و ${answers.length}.`);
+                    return;
+                }
+                botData.verification_reference = answers.filter((_, i) => i !== index);
+                saveBotData(botData);
+                bot.sendMessage(userId, `🗑️ تم حذف الإجابة رقم ${index + 1}.`);
+                return;
+            }
+        }
+
+        bot.sendMessage(userId, "➡️ الاستخدام:\n`/faq list`\n`/faq addkw [كلمة]`\n`/faq delkw [كلمة]`\n`/faq addans [نص الإجابة]`\n`/faq delans [رقم]`", { parse_mode: "Markdown" });
+    }
+
+    // /chat command handler
+    async function handleChatCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!llmProvider) {
+            bot.sendMessage(userId, userText(userId, "chat.disabled"));
+            return;
+        }
+        const query = args.join(" ").trim();
+        if (query) {
+            if (!(await enforceAiRateLimit(msg))) return;
+            bot.sendMessage(userId, userText(userId, "chat.thinking"));
+            try {
+                const responseText = await generateGeneralChatResponse(query, getPrivateConversation(userId), userId);
+                appendPrivateConversation(userId, query, responseText);
+                await sendLongMessage(userId, responseText);
+            } catch (apiError) {
+                console.error("❌ خطأ في توليد استجابة الذكاء الاصطناعي:", apiError);
+                bot.sendMessage(userId, userText(userId, "chat.unavailable"));
+            }
+        } else {
+            bot.sendMessage(userId, userText(userId, "chat.usage"));
+        }
+    }
+
+    // /reset command handler — forgets the user's AI conversation history
+    async function handleResetCommand(msg) {
+        const userId = msg.from.id;
+        resetConversation(userId);
+        bot.sendMessage(msg.chat.id, userText(userId, "chat.reset"), { reply_to_message_id: msg.message_id });
+    }
+
+    // Builds the /lang reply: current language plus one button per supported language
+    function buildLanguagePicker(userId) {
+        const language = getUserLanguage(userId);
+        const mode = languages[userId]?.override ? "" : t(language, "lang.modeAuto");
+        const buttons = SUPPORTED_LANGUAGES.map(code => ({ text: t(code, "language.name"), callback_data: `lang_${code}` }));
+        return {
+            text: t(language, "lang.current", { language: t(language, "language.name"), mode }),
+            options: {
+                parse_mode: "Markdown",
+                reply_markup: { inline_keyboard: [buttons, [{ text: t(language, "lang.autoButton"), callback_data: "lang_auto" }]] }
+            }
+        };
+    }
+
+    // Applies a /lang choice ("auto" clears the override); returns the confirmation text in the new language
+    function setUserLanguageOverride(userId, choice) {
+        const preferences = languages[userId] || (languages[userId] = { override: null, detected: null, telegram: null });
+        preferences.override = choice === "auto" ? null : choice;
+        saveState();
+        const language = getUserLanguage(userId);
+        return choice === "auto" ? t(language, "lang.auto") : t(language, "lang.set", { language: t(language, "language.name") });
+    }
+
+    // /lang command handler — shows or overrides the user's language
+    async function handleLangCommand(msg, args) {
+        const userId = msg.from.id;
+        const choice = (args[0] || "").toLowerCase();
+
+        if (!choice) {
+            const picker = buildLanguagePicker(userId);
+            bot.sendMessage(msg.chat.id, picker.text, { ...picker.options, reply_to_message_id: msg.message_id });
+            return;
+        }
+        if (choice !== "auto" && !isSupportedLanguage(choice)) {
+            bot.sendMessage(msg.chat.id, userText(userId, "lang.unknown", { languages: SUPPORTED_LANGUAGES.join(", ") }), { reply_to_message_id: msg.message_id });
+            return;
+        }
+        bot.sendMessage(msg.chat.id, setUserLanguageOverride(userId, choice), { reply_to_message_id: msg.message_id });
+    }
+
+    // /aihistory command handler (admin-only) — sets how long AI chat history is kept
+    async function handleAiHistoryCommand(msg, args) {
+        const userId = msg.from.id;
+        const minutes = Number(args[0]);
+        if (!args[0] || !Number.isInteger(minutes) || minutes < 0) {
+            bot.sendMessage(userId, `➡️ الاستخدام: \`/aihistory [دقائق]\` (0 لتعطيل الذاكرة)\n⏱️ المدة الحالية: ${getConversationTtlMinutes()} دقيقة`, { parse_mode: "Markdown" });
+            return;
+        }
+
+        settings.conversationTtlMinutes = minutes;
+        saveState();
+        bot.sendMessage(userId, minutes === 0 ? "✅ تم تعطيل ذاكرة المحادثة." : `✅ سيتم الاحتفاظ بسجل المحادثة لمدة ${minutes} دقيقة.`);
+    }
+
+    // /aimode command handler (admin-only) — sets the AI trigger policy of the chat (or forum topic) it is sent in
+    async function handleAiModeCommand(msg, args) {
+        const chatId = msg.chat.id;
+        const reply = (text, options = {}) => bot.sendMessage(chatId, text, { ...options, reply_to_message_id: msg.message_id });
+
+        const action = (args[0] || "").toLowerCase();
+        const chatKey = String(chatId);
+        const listKey = args[1] === "topic" && msg.is_topic_message ? `${chatId}:${msg.message_thread_id}` : chatKey;
+
+        if (AI_TRIGGER_MODES.includes(action)) {
+            const policy = aiTriggers.chats[chatKey] || (aiTriggers.chats[chatKey] = {});
+            policy.mode = action;
+            if (action === "prefix" && args[1]) policy.prefix = args[1];
+            saveState();
+            const { prefix } = getChatTriggerPolicy(chatId);
+            reply(`✅ وضع الذكاء الاصطناعي في هذه المحادثة: ${AI_TRIGGER_MODE_LABELS[action]}${action === "prefix" ? ` (\`${prefix}\`)` : ""}`, { parse_mode: "Markdown" });
+            return;
+        }
+        if (action === "default") {
+            delete aiTriggers.chats[chatKey];
+            saveState();
+            reply(`✅ تمت إعادة هذه المحادثة إلى الوضع الافتراضي: ${AI_TRIGGER_MODE_LABELS[getChatTriggerPolicy(chatId).mode]}`);
+            return;
+        }
+        if (action === "allow" || action === "deny") {
+            const list = aiTriggers[action];
+            const otherList = aiTriggers[action === "allow" ? "deny" : "allow"];
+            if (!list.includes(listKey)) list.push(listKey);
+            if (otherList.includes(listKey)) otherList.splice(otherList.indexOf(listKey), 1);
+            saveState();
+            const target = listKey === chatKey ? "هذه المحادثة" : "هذا الموضوع";
+            reply(action === "allow" ? `✅ تمت إضافة ${target} إلى قائمة السماح.` : `🚫 تمت إضافة ${target} إلى قائمة الحظر، ولن يرد الذكاء الاصطناعي فيها.`);
+            return;
+        }
+        if (action === "unlist") {
+            aiTriggers.allow = aiTriggers.allow.filter(key => key !== listKey);
+            aiTriggers.deny = aiTriggers.deny.filter(key => key !== listKey);
+            saveState();
+            reply(`✅ تمت إزالة ${listKey === chatKey ? "هذه المحادثة" : "هذا الموضوع"} من قائمتي السماح والحظر.`);
+            return;
+        }
+
+        const { mode, prefix } = getChatTriggerPolicy(chatId);
+        const listStatus = key => aiTriggers.deny.includes(key) ? "🚫 محظور" : aiTriggers.allow.includes(key) ? "✅ مسموح" : "—";
+        let text = `🎯 **وضع الذكاء الاصطناعي في هذه المحادثة:** ${AI_TRIGGER_MODE_LABELS[mode]}${mode === "prefix" ? ` (\`${prefix}\`)` : ""}${aiTriggers.chats[chatKey] ? "" : " (افتراضي)"}\n`;
+        text += `📋 المحادثة في القوائم: ${listStatus(chatKey)}`;
+        if (msg.is_topic_message) text += `\n📋 هذا الموضوع في القوائم: ${listStatus(`${chatId}:${msg.message_thread_id}`)}`;
+        if (aiTriggers.allow.length > 0) text += `\nℹ️ قائمة السماح غير فارغة (${aiTriggers.allow.length})، لذلك يعمل الذكاء الاصطناعي فقط في المحادثات والمواضيع المسموحة.`;
+        text += `\n${isAiAllowedInChat(msg) ? "🟢 الذكاء الاصطناعي مفعّل هنا." : "🔴 الذكاء الاصطناعي غير مفعّل هنا."}`;
+        text += "\n\n➡️ الاستخدام:\n`/aimode reply|mention|off`\n`/aimode prefix [كلمة]`\n`/aimode default`\n`/aimode allow|deny|unlist [topic]`";
+        reply(text, { parse_mode: "Markdown" });
+    }
+
+    // /topicrule command handler (admin-only) — manages the rules of the chat or forum topic it is sent in
+    async function handleTopicRuleCommand(msg, args) {
+        const chatId = msg.chat.id;
+        const reply = (text, options = {}) => bot.sendMessage(chatId, text, { ...options, reply_to_message_id: msg.message_id });
+
+        const ruleKey = getTopicRuleKey(msg);
+        const rules = topicRules[ruleKey] || [];
+        const target = ruleKey.includes(":") ? "هذا الموضوع" : "هذه المجموعة";
+        const action = (args[0] || "").toLowerCase();
+
+        if (action === "add") {
+            const type = TOPIC_RULE_TYPES[(args[1] || "").toLowerCase()];
+            const rest = args.slice(2);
+            const rule = { type };
+            if (type === "slowmode") {
+                rule.seconds = Number(rest.shift());
+                if (!Number.isInteger(rule.seconds) || rule.seconds <= 0) rule.type = null;
+            }
+            rule.actions = (rest.shift() || "delete").toLowerCase().split(",").filter(Boolean);
+            if (rule.actions.includes("mute") && rest[0]) rule.muteMinutes = Number(rest[0]);
+
+            const isValid = rule.type
+                && rule.actions.length > 0
+                && rule.actions.every(ruleAction => TOPIC_RULE_ACTIONS.includes(ruleAction))
+                && (rule.muteMinutes === undefined || (Number.isInteger(rule.muteMinutes) && rule.muteMinutes > 0));
+            if (!isValid) {
+                reply("➡️ الاستخدام: `/topicrule add [adminonly|verifiedonly|mediaonly|nolinks|slowmode ثواني] [delete,warn,mute] [دقائق الكتم]`", { parse_mode: "Markdown" });
+                return;
+            }
+
+            // One rule per type: adding it again replaces the old one
+            topicRules[ruleKey] = [...rules.filter(existing => existing.type !== rule.type), rule];
+            saveState();
+            reply(`✅ تمت إضافة القاعدة إلى ${target}: ${formatTopicRule(rule)}`);
+            return;
+        }
+        if (action === "del") {
+            const index = Number(args[1]) - 1;
+            if (!rules[index]) {
+                reply("⚠️ رقم قاعدة غير صالح. استخدم `/topicrule` لعرض القواعد.", { parse_mode: "Markdown" });
+                return;
+            }
+            const [removed] = rules.splice(index, 1);
+            if (rules.length === 0) delete topicRules[ruleKey];
+            saveState();
+            reply(`🗑️ تم حذف القاعدة: ${formatTopicRule(removed)}`);
+            return;
+        }
+        if (action === "clear") {
+            delete topicRules[ruleKey];
+            saveState();
+            reply(`🧹 تم حذف جميع قواعد ${target}.`);
+            return;
+        }
+
+        let text = `📜 **قواعد ${target}:**\n`;
+        text += rules.length > 0
+            ? rules.map((rule, i) => `${i + 1}. ${formatTopicRule(rule)}`).join("\n")
+            : getTopicRules(msg).length > 0 ? "👑 للمشرفين فقط (من RESTRICTED_TOPIC_ID)" : "لا توجد قواعد.";
+        text += "\n\n➡️ الاستخدام:\n`/topicrule add [نوع] [إجراءات] [دقائق]`\n`/topicrule del [رقم]`\n`/topicrule clear`";
+        text += "\n\n🧩 الأنواع: `adminonly`, `verifiedonly`, `mediaonly`, `nolinks`, `slowmode [ثواني]`\n⚙️ الإجراءات: `delete`, `warn`, `mute`";
+        reply(text, { parse_mode: "Markdown" });
+    }
+
+    // Resolves the target of a moderation command: the author of the replied-to message, or an ID/@username argument.
+    // Returns { user, args } (args without the consumed identifier) or null.
+    function getModerationTarget(msg, args) {
+        const repliedTo = getRepliedMessage(msg);
+        if (repliedTo?.from) return { user: repliedTo.from, args };
+        const targetId = resolveUserIdArgument(args[0]);
+        if (!targetId) return null;
+        const name = verifiedUsers[targetId]?.firstName || moderation[targetId]?.name || String(targetId);
+        return { user: { id: targetId, first_name: name }, args: args.slice(1) };
+    }
+
+    // Shared target checks for /warn, /mute, /unmute, /ban, /unban and /purge (permission and chat type are checked by the command router); returns the target ({ user, args }) or null after replying
+    function prepareModerationCommand(msg, args, usage, { needsTarget = true } = {}) {
+        const reply = text => bot.sendMessage(msg.chat.id, text, { parse_mode: "Markdown", reply_to_message_id: msg.message_id });
+        if (!needsTarget) return { user: null, args };
+
+        const target = getModerationTarget(msg, args);
+        if (!target) {
+            reply(`➡️ الاستخدام (بالرد على رسالة المستخدم): ${usage}`);
+            return null;
+        }
+        if (target.user.is_bot || getUserRole(target.user.id)) {
+            reply("⚠️ لا يمكن تطبيق هذا الإجراء على البوتات أو أعضاء الفريق.");
+            return null;
+        }
+        return target;
+    }
+
+    // Runs a moderation action and reports Telegram errors (e.g. missing admin rights) back in the chat
+    async function runModerationAction(msg, description, action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error(`❌ Error during ${description} in chat ${msg.chat.id}:`, error.response?.body || error.message);
+            bot.sendMessage(msg.chat.id, `❌ فشل تنفيذ الإجراء (${description}). تأكد من أن البوت مشرف بصلاحية تقييد وحظر الأعضاء.`, { reply_to_message_id: msg.message_id });
+        }
+    }
+
+    // /warn command handler (admin-only)
+    async function handleWarnCommand(msg, args) {
+        const target = prepareModerationCommand(msg, args, "`/warn [السبب]`");
+        if (!target) return;
+        await runModerationAction(msg, "warn", () => warnUser(msg, target.user, msg.from, target.args.join(" ") || null));
+    }
+
+    // /mute command handler (admin-only) — /mute [duration] [reason], duration like 30m, 2h, 1d (default 60 minutes)
+    async function handleMuteCommand(msg, args) {
+        const target = prepareModerationCommand(msg, args, "`/mute [المدة مثل 30m أو 2h أو 1d] [السبب]`");
+        if (!target) return;
+        const minutes = parseDurationMinutes(target.args[0]);
+        const reasonArgs = minutes ? target.args.slice(1) : target.args;
+        await runModerationAction(msg, "mute", () => muteUser(msg, target.user, minutes || DEFAULT_MUTE_MINUTES, msg.from, reasonArgs.join(" ") || null));
+    }
+
+    // /unmute command handler (admin-only)
+    async function handleUnmuteCommand(msg, args) {
+        const target = prepareModerationCommand(msg, args, "`/unmute` أو `/unmute [ID أو @username]`");
+        if (!target) return;
+        await runModerationAction(msg, "unmute", async () => {
+            await unmuteChatMember(msg.chat.id, target.user.id);
+            recordModerationAction(target.user, msg.chat.id, "unmute", msg.from);
+            await announceModeration(msg, target.user.id, "moderation.unmuted", { name: target.user.first_name });
+        });
+    }
+
+    // /ban command handler (admin-only)
+    async function handleBanCommand(msg, args) {
+        const target = prepareModerationCommand(msg, args, "`/ban [السبب]`");
+        if (!target) return;
+        await runModerationAction(msg, "ban", () => banUser(msg, target.user, msg.from, target.args.join(" ") || null));
+    }
+
+    // /unban command handler (admin-only) — lets the user join again; verification is not restored
+    async function handleUnbanCommand(msg, args) {
+        const target = prepareModerationCommand(msg, args, "`/unban [ID أو @username]`");
+        if (!target) return;
+        await runModerationAction(msg, "unban", async () => {
+            await bot.unbanChatMember(msg.chat.id, target.user.id, { only_if_banned: true });
+            recordModerationAction(target.user, msg.chat.id, "unban", msg.from);
+            bot.sendMessage(msg.chat.id, `✅ تم رفع الحظر عن ${target.user.first_name} (ID: ${target.user.id}). يمكنه الانضمام مجددًا، لكن توثيقه لا يعود تلقائيًا (استخدم /reverify).`, { reply_to_message_id: msg.message_id });
+        });
+    }
+
+    // /purge command handler (admin-only) — deletes the last N messages, or everything from the replied-to message on.
+    // Message IDs are numbered across the whole chat and Telegram can't tell which topic an ID belongs to,
+    // so forum groups are refused rather than risk deleting posts from other topics.
+    async function handlePurgeCommand(msg, args) {
+        const usage = `\`/purge [1-${PURGE_LIMIT - 1}]\` أو الرد على أول رسالة بـ \`/purge\``;
+        if (!prepareModerationCommand(msg, args, usage, { needsTarget: false })) return;
+        if (msg.chat.is_forum) {
+            bot.sendMessage(msg.chat.id, "⚠️ لا يمكن استخدام /purge في المجموعات ذات المواضيع، لأن النطاق قد يشمل رسائل من مواضيع أخرى.", { reply_to_message_id: msg.message_id });
+            return;
+        }
+
+        const count = Number(args[0]);
+        const repliedTo = getRepliedMessage(msg);
+        const firstMessageId = repliedTo
+            ? repliedTo.message_id
+            : Number.isInteger(count) && count > 0 ? msg.message_id - count : null;
+        // The batch also holds the /purge message itself, and deleteMessages takes at most PURGE_LIMIT IDs
+        if (!firstMessageId || msg.message_id - firstMessageId >= PURGE_LIMIT) {
+            bot.sendMessage(msg.chat.id, `➡️ الاستخدام: ${usage}`, { parse_mode: "Markdown", reply_to_message_id: msg.message_id });
+            return;
+        }
+
+        // Message IDs are sequential per chat; IDs that no longer exist (or are too old to delete) are skipped by Telegram
+        const messageIds = [];
+        for (let id = firstMessageId; id <= msg.message_id; id++) messageIds.push(id);
+        await runModerationAction(msg, "purge", async () => {
+            await bot.deleteMessages(msg.chat.id, messageIds);
+            console.log(`🧹 Purged ${messageIds.length - 1} messages in chat ${msg.chat.id} by admin ${msg.from.id}.`);
+        });
+    }
+
+    // /modlog command handler (admin-only) — a user's warnings and moderation actions (sent privately)
+    async function handleModLogCommand(msg, args) {
+        const userId = msg.from.id;
+        const target = getModerationTarget(msg, args);
+        if (!target) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/modlog [ID أو @username]` أو بالرد على رسالة المستخدم", { parse_mode: "Markdown" });
+            return;
+        }
+
+        const record = moderation[target.user.id];
+        if (!record || record.actions.length === 0) {
+            bot.sendMessage(userId, `ℹ️ لا يوجد سجل إشراف للمستخدم ${target.user.first_name} (ID: ${target.user.id}).`);
+            return;
+        }
+        const lines = record.actions.slice(-20).map(action => {
+            let line = `• ${formatTimestamp(action.at)} — ${MODERATION_ACTION_LABELS[action.type]}`;
+            if (action.minutes) line += ` (${action.minutes} دقيقة)`;
+            if (action.escalated) line += " (تلقائي)";
+            line += ` — ${formatAuditActor(action.by)}`;
+            if (action.reason) line += `\n   📝 ${action.reason}`;
+            return line;
+        });
+        let text = `⚖️ سجل الإشراف: ${record.name || target.user.first_name} (ID: ${target.user.id})\n⚠️ عدد التحذيرات: ${record.warnings.length} (الكتم من ${WARN_MUTE_THRESHOLD}، الحظر عند ${WARN_BAN_THRESHOLD})\n\n`;
+        if (record.actions.length > lines.length) text += `(آخر ${lines.length} من ${record.actions.length} إجراء)\n`;
+        text += lines.join("\n");
+        bot.sendMessage(userId, text);
+    }
+
+    // /audit command handler (admin-only) — latest audit log entries, optionally filtered (see matchesAuditFilter)
+    const AUDIT_PAGE_SIZE = 20;
+
+    async function handleAuditCommand(msg, args) {
+        const userId = msg.from.id;
+        const filter = args.join(" ");
+        const entries = auditLog.readEntries().filter(entry => matchesAuditFilter(entry, filter));
+        if (entries.length === 0) {
+            bot.sendMessage(userId, `📜 لا توجد إدخالات مطابقة في سجل التدقيق.\n\n➡️ الاستخدام: \`/audit [action:… actor:ID target:ID result:… since:YYYY-MM-DD نص]\``, { parse_mode: "Markdown" });
+            return;
+        }
+
+        const lines = entries.slice(-AUDIT_PAGE_SIZE).reverse().map(entry => {
+            const target = entry.target ? Object.entries(entry.target).filter(([, value]) => value !== null).map(([key, value]) => `${key}=${value}`).join(" ") : "—";
+            return `• ${formatTimestamp(entry.timestamp)} — ${entry.action}\n   👮 ${formatAuditActor(entry.actor)} 🎯 ${target}\n   📌 ${entry.result}`;
+        });
+        const header = `📜 سجل التدقيق${filter ? ` (${filter})` : ""}: آخر ${lines.length} من ${entries.length} إدخال\n`;
+        bot.sendMessage(userId, `${header}\n${lines.join("\n")}\n\n💾 للتصدير الكامل: /export ${filter}`.trim());
+    }
+
+    // /export command handler (admin-only) — sends the (optionally filtered) audit log as a CSV document
+    async function handleExportCommand(msg, args) {
+        const userId = msg.from.id;
+        const filter = args.join(" ");
+        const entries = auditLog.readEntries().filter(entry => matchesAuditFilter(entry, filter));
+        if (entries.length === 0) {
+            bot.sendMessage(userId, "📜 لا توجد إدخالات مطابقة للتصدير.");
+            return;
+        }
+        try {
+            const fileName = `audit_${new Date().toISOString().slice(0, 10)}.csv`;
+            await bot.sendDocument(userId, Buffer.from(toCsv(entries), "utf8"), {
+                caption: `📊 سجل التدقيق${filter ? ` (${filter})` : ""}: ${entries.length} إدخال`
+            }, { filename: fileName, contentType: "text/csv" });
+            auditLog.record("audit.export", { actor: describeActor(msg.from), result: `${entries.length} entries`, details: { filter: filter || null } });
+        } catch (error) {
+            console.error(`❌ Error sending audit export to ${userId}:`, error.response?.body || error.message);
+            bot.sendMessage(userId, "❌ فشل إرسال ملف التصدير.");
+        }
+    }
+
+    // /usage command handler (admin-only) — today's AI usage per user
+    async function handleUsageCommand(msg) {
+        const userId = msg.from.id;
+        const today = resetAiUsageIfNewDay();
+        const entries = Object.entries(aiUsage.users).sort(([, a], [, b]) => b.tokens - a.tokens);
+        const totalTokens = entries.reduce((sum, [, entry]) => sum + entry.tokens, 0);
+        const totalRequests = entries.reduce((sum, [, entry]) => sum + entry.requests, 0);
+
+        const lines = entries.slice(0, 20).map(([usageUserId, entry], i) => {
+            const tier = AI_RATE_LIMIT_TIERS[getAiRateLimitTier(usageUserId)];
+            const quota = Number.isFinite(tier.dailyTokens) ? tier.dailyTokens : "∞";
+            return `${i + 1}. ${entry.name || "(بدون اسم)"} (ID: ${usageUserId}) — ${entry.requests} طلب — ${entry.tokens}/${quota} رمز`;
+        });
+
+        bot.sendMessage(userId, `📊 استخدام الذكاء الاصطناعي اليوم (${today} UTC):\n👥 المستخدمون: ${entries.length} | 📨 الطلبات: ${totalRequests} | 🔢 الرموز: ${totalTokens}\n\n${lines.join("\n") || "(لا يوجد استخدام بعد)"}`);
+    }
+
+    // /aiconfig command handler (admin-only) — shows or changes the AI settings; changes are saved to ai_config.json
+    async function handleAiConfigCommand(msg, args) {
+        const userId = msg.from.id;
+        const setting = (args[0] || "").toLowerCase();
+        const value = args.slice(1).join(" ").trim();
+        const applyChange = (key, newValue) => {
+            const previous = aiConfig[key];
+            aiConfig[key] = newValue;
+            saveAiConfig();
+            console.log(`🤖 AI setting ${key} changed by ${userId}`);
+            auditLog.record("ai.config", { actor: describeActor(msg.from), details: { setting: key, from: previous, to: newValue } });
+        };
+
+        if (setting === "model" && value) {
+            applyChange("model", value);
+            bot.sendMessage(userId, `✅ النموذج: ${value}`);
+            return;
+        }
+        if (setting === "temperature" && value) {
+            const temperature = Number(value);
+            if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+                bot.sendMessage(userId, "⚠️ درجة الحرارة يجب أن تكون رقمًا بين 0 و 2.");
+                return;
+            }
+            applyChange("temperature", temperature);
+            bot.sendMessage(userId, `✅ درجة الحرارة: ${temperature}`);
+            return;
+        }
+        if (setting === "maxtokens" && value) {
+            const maxTokens = Number(value);
+            if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+                bot.sendMessage(userId, "⚠️ الحد الأقصى للرموز يجب أن يكون عددًا صحيحًا موجبًا.");
+                return;
+            }
+            applyChange("max_tokens", maxTokens);
+            bot.sendMessage(userId, `✅ الحد الأقصى للرموز في الرد: ${maxTokens}`);
+            return;
+        }
+        if (setting === "prompt" && value) {
+            const reset = value.toLowerCase() === "reset";
+            applyChange("system_prompt", reset ? null : value);
+            bot.sendMessage(userId, reset ? "✅ تمت استعادة تعليمات النظام الافتراضية (حسب لغة المستخدم)." : "✅ تم تحديث تعليمات النظام لجميع اللغات.");
+            return;
+        }
+        if (setting === "provider" && PROVIDER_NAMES.includes((args[1] || "").toLowerCase())) {
+            const provider = args[1].toLowerCase();
+            const baseUrl = args[2] || (provider === aiConfig.provider ? aiConfig.base_url : null);
+            const previous = { provider: aiConfig.provider, base_url: aiConfig.base_url };
+            Object.assign(aiConfig, { provider, base_url: baseUrl });
+            const newProvider = buildLlmProvider();
+            if (!newProvider) {
+                Object.assign(aiConfig, previous);
+                bot.sendMessage(userId, provider === "openai"
+                    ? "⚠️ يلزم عنوان الخادم: `/aiconfig provider openai [base_url]`"
+                    : "⚠️ لا يمكن استخدام Together بدون TOGETHER_AI_API_KEY.", { parse_mode: "Markdown" });
+                return;
+            }
+            llmProvider = newProvider;
+            saveAiConfig();
+            auditLog.record("ai.config", { actor: describeActor(msg.from), details: { setting: "provider", from: previous, to: { provider, base_url: baseUrl } } });
+            bot.sendMessage(userId, `✅ مزود الذكاء الاصطناعي: ${provider}${baseUrl ? ` (${baseUrl})` : ""}`);
+            return;
+        }
+
+        const prompt = aiConfig.system_prompt ? localize(aiConfig.system_prompt, DEFAULT_LANGUAGE) : null;
+        const circuitLabels = { closed: "🟢 يعمل", open: "🔴 متوقف مؤقتًا بسبب الأخطاء", "half-open": "🟡 قيد الاختبار" };
+        bot.sendMessage(userId, `🤖 إعدادات الذكاء الاصطناعي:
+🔌 المزود: ${aiConfig.provider}${aiConfig.base_url ? ` (${aiConfig.base_url})` : ""} — ${llmProvider ? circuitLabels[aiCircuit.getState()] : "⚪ غير مفعّل"}
+🧩 النموذج: ${aiConfig.model}
+🌡️ درجة الحرارة: ${aiConfig.temperature}
+🔢 الحد الأقصى للرموز: ${aiConfig.max_tokens}
+📜 تعليمات النظام: ${prompt ? `${prompt.slice(0, 300)}${prompt.length > 300 ? "…" : ""}` : "الافتراضية (حسب لغة المستخدم)"}
+
+➡️ الاستخدام:
+/aiconfig model [الاسم]
+/aiconfig temperature [0-2]
+/aiconfig maxtokens [العدد]
+/aiconfig prompt [النص] | reset
+/aiconfig provider together | openai [base_url]`);
+    }
+
+    // /sendverify command handler
+    async function handleSendVerifyCommand(msg) {
+        const userId = msg.from.id;
+
+        // Ensure BOT_USERNAME is available (already validated at startup, but good practice)
+        if (!BOT_USERNAME) {
+             bot.sendMessage(userId, "❌ لا يمكن إرسال رسالة التحقق. BOT_USERNAME غير معرف.");
+             console.error("❌ Cannot execute /sendverify: BOT_USERNAME is missing.");
+             return;
+        }
+
+        // The channel post is seen by everyone, so it uses the default language
+        const verificationText = t(DEFAULT_LANGUAGE, "verification.channelPrompt");
+        const verificationKeyboard = {
+            reply_markup: {
+                // **CHANGE:** Use a URL button to link directly to the bot's chat with /start command
+                inline_keyboard: [[{ text: t(DEFAULT_LANGUAGE, "verification.channelButton"), url: buildDeepLink("verify") }]] // The "verify" payload credits joins to the channel post (see /stats sources)
+            }
+        };
+
+        try {
+            let messageSentOrUpdated = false;
+            // Try editing the last known message first
+            if (lastVerificationMessage.messageId) {
+                try {
+                    await bot.editMessageText(verificationText, {
+                        chat_id: PUBLIC_CHANNEL_ID,
+                        message_id: lastVerificationMessage.messageId,
+                        ...verificationKeyboard // Includes reply_markup
+                    });
+                    console.log(`✅ تم تحديث رسالة التحقق (ID: ${lastVerificationMessage.messageId}) في القناة ${PUBLIC_CHANNEL_ID}`);
+                    auditLog.record("channel.sendverify", { actor: describeActor(msg.from), target: { chatId: PUBLIC_CHANNEL_ID, messageId: lastVerificationMessage.messageId }, result: "updated" });
+                    bot.sendMessage(userId, "✅ تم تحديث رسالة التحقق بنجاح!");
+                    messageSentOrUpdated = true;
+                } catch (editError) {
+                    console.warn(`⚠️ فشل تحديث رسالة التحقق (ID: ${lastVerificationMessage.messageId}). السبب: ${editError.response?.body?.description || editError.message}. سيتم محاولة إرسال رسالة جديدة.`);
+                     if (editError.response && editError.response.statusCode === 400 && editError.response.body?.description?.includes("message to edit not found")) {
+                         console.warn("   - الرسالة السابقة لم يتم العثور عليها (ربما تم حذفها).");
+                         lastVerificationMessage.messageId = null; // Reset messageId since it's invalid
+                         saveState();
+                     } else if (editError.response && editError.response.statusCode === 403) {
+                         console.error("   🚨 خطأ 403 (Forbidden): تأكد من أن البوت لديه صلاحيات *تعديل* الرسائل في القناة.");
+                     }
+                }
+            }
+
+            // If editing failed or no previous message existed, send a new one
+            if (!messageSentOrUpdated) {
+                const message = await bot.sendMessage(PUBLIC_CHANNEL_ID, verificationText, verificationKeyboard);
+                lastVerificationMessage.messageId = message.message_id;
+                saveState();
+                console.log(`✅ تم إرسال رسالة تحقق جديدة (ID: ${message.message_id}) إلى القناة ${PUBLIC_CHANNEL_ID}`);
+                auditLog.record("channel.sendverify", { actor: describeActor(msg.from), target: { chatId: PUBLIC_CHANNEL_ID, messageId: message.message_id }, result: "sent" });
+                bot.sendMessage(userId, "✅ تم إرسال رسالة التحقق بنجاح!");
+            }
+
+        } catch (error) {
+            console.error("❌ خطأ فادح في إرسال أو تحديث رسالة التحقق:", error.response?.body || error.message);
+            if (error.response && error.response.statusCode === 403) {
+                console.error("🚨 خطأ 403 (Forbidden): تأكد من أن البوت لديه صلاحيات *إرسال* الرسائل في القناة.");
+            }
+            auditLog.record("channel.sendverify", { actor: describeActor(msg.from), target: { chatId: PUBLIC_CHANNEL_ID }, result: `failed: ${error.response?.body?.description || error.message}` });
+            bot.sendMessage(userId, "❌ فشل فادح في إرسال/تحديث رسالة التحقق. تحقق من السجلات وصلاحيات البوت في القناة.");
+        }
+    }
+
+    // Builds one page of the /verified list (newest approvals first) with prev/next buttons
+    function buildVerifiedUsersPage(page) {
+        const records = Object.values(verifiedUsers)
+            .filter(record => record.verified)
+            .sort((a, b) => (b.verifiedAt || "").localeCompare(a.verifiedAt || ""));
+        const pageCount = Math.max(1, Math.ceil(records.length / VERIFIED_PAGE_SIZE));
+        const currentPage = Math.min(Math.max(Number(page) || 1, 1), pageCount);
+        const pageRecords = records.slice((currentPage - 1) * VERIFIED_PAGE_SIZE, currentPage * VERIFIED_PAGE_SIZE);
+
+        const lines = pageRecords.map((record, i) =>
+            `${(currentPage - 1) * VERIFIED_PAGE_SIZE + i + 1}. ${formatUserLabel(record)} — ID: ${record.userId} — ${formatTimestamp(record.verifiedAt)}`
+        );
+        const text = `✅ المستخدمون الموثقون (${records.length}) — صفحة ${currentPage}/${pageCount}\n\n${lines.join("\n") || "(لا يوجد)"}`;
+
+        const navigation = [];
+        if (currentPage > 1) navigation.push({ text: "⬅️ السابق", callback_data: `verifiedpage_${currentPage - 1}` });
+        if (currentPage < pageCount) navigation.push({ text: "التالي ➡️", callback_data: `verifiedpage_${currentPage + 1}` });
+
+        return { text, options: navigation.length > 0 ? { reply_markup: { inline_keyboard: [navigation] } } : {} };
+    }
+
+    // /verified command handler (admin-only, paginated list)
+    async function handleVerifiedCommand(msg, args) {
+        const userId = msg.from.id;
+        const page = buildVerifiedUsersPage(Number(args[0]) || 1);
+        bot.sendMessage(userId, page.text, page.options);
+    }
+
+    // /whois command handler (admin-only)
+    async function handleWhoisCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!args[0]) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/whois [ID أو @username]`", { parse_mode: "Markdown" });
+            return;
+        }
+
+        const record = findUserRecord(args[0]);
+        if (!record) {
+            bot.sendMessage(userId, "⚠️ لا يوجد سجل لهذا المستخدم.");
+            return;
+        }
+
+        let status = record.verified ? "✅ موثق" : "❌ غير موثق";
+        if (verificationSessions[record.userId]) status += " (يجيب على أسئلة التحقق الآن)";
+        if (pendingApprovals[record.userId]) status += " (بانتظار المراجعة)";
+        const approvedBy = record.approvedBy === "ai_screening"
+            ? "🤖 الفحص التلقائي"
+            : record.approvedBy ? `${record.approvedBy.name} (ID: ${record.approvedBy.id})` : "—";
+
+        let text = `👤 ${formatUserLabel(record)} (ID: ${record.userId})
+📌 الحالة: ${status}
+📅 تاريخ التوثيق: ${formatTimestamp(record.verifiedAt)}
+👮 وافق عليه: ${approvedBy}
+🚫 مرات الرفض: ${record.rejectionCount} (آخرها: ${formatTimestamp(record.lastRejectedAt)})
+🗂️ عدد الطلبات: ${record.history.length}`;
+
+        const moderationRecord = moderation[record.userId];
+        if (moderationRecord) {
+            text += `\n⚖️ التحذيرات: ${moderationRecord.warnings.length} | إجراءات الإشراف: ${moderationRecord.actions.length} (التفاصيل: /modlog ${record.userId})`;
+        }
+
+        if (record.source) {
+            text += `\n🔗 المصدر: ${record.source.referrerId ? `إحالة من ${record.source.referrerId}` : record.source.payload}`;
+        }
+        if (record.unverifiedAt) {
+            text += `\n↩️ أُلغي التوثيق: ${formatTimestamp(record.unverifiedAt)}`;
+        }
+        if (record.lastRejectionReason) {
+            text += `\n📝 سبب آخر رفض: ${localize(record.lastRejectionReason, DEFAULT_LANGUAGE)}`;
+        }
+        if (record.reapplyAfter && new Date(record.reapplyAfter) > new Date()) {
+            text += `\n⏳ يمكنه إعادة التقديم بعد: ${formatTimestamp(record.reapplyAfter)}`;
+        }
+        if (record.appeal) {
+            const appealStatus = { pending: "⏳ قيد المراجعة", accepted: "✅ مقبول", denied: "❌ مرفوض" }[record.appeal.status];
+            text += `\n⚖️ الاستئناف: ${appealStatus} (${formatTimestamp(record.appeal.submittedAt)})`;
+        }
+        if (record.inviteLink) {
+            const linkStatus = record.inviteLink.revokedAt ? "ملغى" : `ينتهي ${formatTimestamp(record.inviteLink.expiresAt)}`;
+            text += `\n🔗 رابط الدعوة: ${record.inviteLink.url} (${linkStatus})`;
+        }
+
+        const lastSubmission = record.history[record.history.length - 1];
+        if (lastSubmission) {
+            const answers = lastSubmission.transcript.map((entry, i) => `${i + 1}. ${entry.question}\n   ✍️ ${entry.answer}`).join("\n");
+            text += `\n\n📝 آخر طلب (${formatTimestamp(lastSubmission.submittedAt)} — ${lastSubmission.decision}):\n${answers}`;
+        }
+
+        bot.sendMessage(userId, text);
+    }
+
+    // /unverify command handler (admin-only)
+    async function handleUnverifyCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!args[0]) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/unverify [ID أو @username]`", { parse_mode: "Markdown" });
+            return;
+        }
+
+        const record = findUserRecord(args[0]);
+        if (!record || !record.verified) {
+            bot.sendMessage(userId, "⚠️ هذا المستخدم غير موثق.");
+            return;
+        }
+        const resultText = await revokeUserVerification(record.userId, msg.from);
+        bot.sendMessage(userId, `${resultText}: ${formatUserLabel(record)} (ID: ${record.userId})`);
+    }
+
+    // /reverify command handler (admin-only) — restores verification without a new questionnaire
+    async function handleReverifyCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!args[0]) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/reverify [ID أو @username]`", { parse_mode: "Markdown" });
+            return;
+        }
+
+        // Unknown numeric IDs are allowed so the admin can verify someone manually
+        const record = findUserRecord(args[0]) || (/^\d+$/.test(args[0]) ? getUserRecord(Number(args[0])) : null);
+        if (!record) {
+            bot.sendMessage(userId, "⚠️ لا يوجد سجل لهذا المستخدم.");
+            return;
+        }
+        if (record.verified) {
+            bot.sendMessage(userId, "ℹ️ هذا المستخدم موثق بالفعل.");
+            return;
+        }
+
+        delete verificationSessions[record.userId];
+        delete pendingApprovals[record.userId];
+        const resultText = await approveUserVerification(record.userId, null, msg.from);
+        bot.sendMessage(userId, `${resultText}: ${formatUserLabel(record)} (ID: ${record.userId})`);
+    }
+
+    // /revokelink command handler (admin-only) — kills a user's personal invite link without touching their verification
+    async function handleRevokeLinkCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!args[0]) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/revokelink [ID أو @username]`", { parse_mode: "Markdown" });
+            return;
+        }
+
+        const record = findUserRecord(args[0]);
+        if (!record || !PRIVATE_GROUP_ID || !(await revokePersonalInviteLink(record))) {
+            bot.sendMessage(userId, "⚠️ لا يوجد رابط دعوة فعال لهذا المستخدم.");
+            return;
+        }
+        bot.sendMessage(userId, `🔗 تم إلغاء رابط الدعوة الخاص بالمستخدم ${formatUserLabel(record)} (ID: ${record.userId}).`);
+    }
+
+    // Resolves a command argument (numeric ID or @username of a known user) to a user ID
+    function resolveUserIdArgument(identifier) {
+        if (/^\d+$/.test(identifier || "")) return Number(identifier);
+        return findUserRecord(identifier)?.userId || null;
+    }
+
+    // /grant command handler (owner-only)
+    async function handleGrantCommand(msg, args) {
+        const userId = msg.from.id;
+        const targetUserId = resolveUserIdArgument(args[0]);
+        const role = (args[1] || "").toLowerCase();
+        if (!targetUserId || !ROLE_PERMISSIONS[role]) {
+            bot.sendMessage(userId, `➡️ الاستخدام: \`/grant [ID أو @username] [${Object.keys(ROLE_PERMISSIONS).join("|")}]\``, { parse_mode: "Markdown" });
+            return;
+        }
+        if (targetUserId === ADMIN_ID) {
+            bot.sendMessage(userId, "ℹ️ لا يمكن تغيير دور المالك الأساسي (ADMIN_ID).");
+            return;
+        }
+
+        roles[targetUserId] = role;
+        saveState();
+        console.log(`🛡️ User ${targetUserId} granted role "${role}" by ${userId}`);
+        auditLog.record("roles.grant", { actor: describeActor(msg.from), target: { userId: targetUserId }, details: { role } });
+        bot.sendMessage(userId, `✅ تم منح المستخدم ${targetUserId} دور ${ROLE_LABELS[role]}.`);
+        syncStaffCommandMenu(targetUserId); // Their private-chat menu now lists the role's commands
+    }
+
+    // /revoke command handler (owner-only)
+    async function handleRevokeCommand(msg, args) {
+        const userId = msg.from.id;
+        const targetUserId = resolveUserIdArgument(args[0]);
+        if (!targetUserId) {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/revoke [ID أو @username]`", { parse_mode: "Markdown" });
+            return;
+        }
+        if (targetUserId === ADMIN_ID) {
+            bot.sendMessage(userId, "ℹ️ لا يمكن سحب دور المالك الأساسي (ADMIN_ID).");
+            return;
+        }
+        if (!roles[targetUserId]) {
+            bot.sendMessage(userId, "⚠️ هذا المستخدم ليس لديه أي دور.");
+            return;
+        }
+
+        const previousRole = roles[targetUserId];
+        delete roles[targetUserId];
+        saveState();
+        console.log(`🛡️ Role of user ${targetUserId} revoked by ${userId}`);
+        auditLog.record("roles.revoke", { actor: describeActor(msg.from), target: { userId: targetUserId }, details: { role: previousRole } });
+        bot.sendMessage(userId, `🗑️ تم سحب الدور من المستخدم ${targetUserId}.`);
+        syncStaffCommandMenu(targetUserId);
+    }
+
+    // /roles command handler (owner-only)
+    async function handleRolesCommand(msg) {
+        const userId = msg.from.id;
+        const lines = [`${ROLE_LABELS.owner}: ${ADMIN_ID} (ADMIN_ID)`];
+        for (const [roleUserId, role] of Object.entries(roles)) {
+            const record = verifiedUsers[roleUserId];
+            lines.push(`${ROLE_LABELS[role]}: ${roleUserId}${record ? ` — ${formatUserLabel(record)}` : ""}`);
+        }
+        bot.sendMessage(userId, `🛡️ أدوار فريق الإشراف:\n${lines.join("\n")}`);
+    }
+
+    // 🔗 Deep Links
+    // /start payloads: "verify" (the channel post), "ref_<userId>" (a verified member's referral link), "faq" (shows an
+    // FAQ answer first) and campaign codes created with /deeplink. Starts are counted per payload, and the payload and
+    // referrer are stored on the user record when verification starts, so /stats sources can credit approvals to them.
+    const DEEP_LINK_CODE = /^[A-Za-z0-9_-]{1,64}$/; // Telegram's rule for start parameters
+    const RESERVED_DEEP_LINK_CODES = ["verify", "faq"];
+
+    function buildDeepLink(payload) {
+        return `https://t.me/${BOT_USERNAME}?start=${payload}`;
+    }
+
+    // Returns { type: "verify" | "faq" | "referral" | "campaign" | "unknown", payload, referrerId }
+    function resolveDeepLinkPayload(rawPayload, userId) {
+        const payload = rawPayload.toLowerCase();
+        if (RESERVED_DEEP_LINK_CODES.includes(payload)) return { type: payload, payload, referrerId: null };
+
+        const referral = /^ref_(\d+)$/.exec(payload);
+        if (referral) {
+            const referrerId = Number(referral[1]);
+            // Only verified members can refer, and nobody can refer themselves
+            if (referrerId !== userId && isUserVerified(referrerId)) return { type: "referral", payload, referrerId };
+            return { type: "unknown", payload, referrerId: null };
+        }
+        if (deepLinks.campaigns[payload]) return { type: "campaign", payload, referrerId: null };
+        return { type: "unknown", payload, referrerId: null };
+    }
+
+    // /start command handler — routes deep-link payloads, then starts verification
+    async function handleStartCommand(msg, args) {
+        const userId = msg.from.id;
+        if (!args[0]) {
+            await handleStartCommandForVerification(msg);
+            return;
+        }
+
+        const link = resolveDeepLinkPayload(args[0], userId);
+        if (link.type === "unknown") {
+            console.log(`🔗 Unknown or invalid /start payload "${args[0]}" from user ${userId}; starting normally.`);
+            await handleStartCommandForVerification(msg);
+            return;
+        }
+        if (link.type === "faq") {
+            const answer = pickFaqAnswer();
+            if (answer) {
+                if (!isUserVerified(userId)) {
+                    recordDeepLinkStart(link.payload);
+                    saveState();
+                }
+                await bot.sendMessage(userId, answer); // Plain text, like the FAQ auto-replies
+                bot.sendMessage(userId, userText(userId, "deepLink.faqHint"));
+                return;
+            }
+        }
+        await handleStartCommandForVerification(msg, { payload: link.payload, referrerId: link.referrerId });
+    }
+
+    // Counted once the link actually led somewhere (an FAQ answer or a new verification session), so repeated
+    // clicks while a request is in progress or cooling down don't inflate /stats sources
+    function recordDeepLinkStart(payload) {
+        deepLinks.starts[payload] = (deepLinks.starts[payload] || 0) + 1;
+    }
+
+    // /referral command handler — a verified member's personal referral link
+    async function handleReferralCommand(msg) {
+        const userId = msg.from.id;
+        if (!isUserVerified(userId)) {
+            bot.sendMessage(userId, userText(userId, "referral.notVerified"));
+            return;
+        }
+        const approved = Object.values(verifiedUsers).filter(record => record.verifiedAt && record.source?.referrerId === userId).length;
+        bot.sendMessage(userId, userText(userId, "referral.link", { link: buildDeepLink(`ref_${userId}`), count: approved }));
+    }
+
+    // /deeplink command handler (admin-only) — creates, lists and deletes tracked campaign links
+    async function handleDeepLinkCommand(msg, args) {
+        const userId = msg.from.id;
+        const action = (args[0] || "").toLowerCase();
+        const code = (args[1] || "").toLowerCase();
+
+        if (action === "create" && code) {
+            if (!DEEP_LINK_CODE.test(code) || RESERVED_DEEP_LINK_CODES.includes(code) || code.startsWith("ref_")) {
+                bot.sendMessage(userId, "⚠️ رمز غير صالح. استخدم حتى 64 حرفًا من A-Z و 0-9 و _ و - (الرموز verify و faq و ref_ محجوزة).");
+                return;
+            }
+            if (deepLinks.campaigns[code]) {
+                bot.sendMessage(userId, `ℹ️ الرابط موجود بالفعل:\n${buildDeepLink(code)}`);
+                return;
+            }
+            const label = args.slice(2).join(" ") || null;
+            deepLinks.campaigns[code] = { label, createdAt: new Date().toISOString(), createdBy: describeActor(msg.from) };
+            saveState();
+            auditLog.record("deeplink.create", { actor: describeActor(msg.from), target: { code }, details: { label } });
+            bot.sendMessage(userId, `✅ تم إنشاء رابط متتبَّع${label ? ` (${label})` : ""}:\n${buildDeepLink(code)}`);
+            return;
+        }
+        if (action === "delete" && code) {
+            if (!deepLinks.campaigns[code]) {
+                bot.sendMessage(userId, "⚠️ لم يتم العثور على هذا الرابط.");
+                return;
+            }
+            delete deepLinks.campaigns[code]; // Its start counts and credited users stay in /stats sources
+            saveState();
+            auditLog.record("deeplink.delete", { actor: describeActor(msg.from), target: { code } });
+            bot.sendMessage(userId, `🗑️ تم حذف الرابط ${code}. لن يُنسب المنضمون الجدد عبره إلى الحملة.`);
+            return;
+        }
+        if (action === "list") {
+            const lines = Object.entries(deepLinks.campaigns).map(([campaignCode, campaign]) =>
+                `• ${campaignCode}${campaign.label ? ` — ${campaign.label}` : ""} (${deepLinks.starts[campaignCode] || 0} بدء)\n${buildDeepLink(campaignCode)}`);
+            bot.sendMessage(userId, `🔗 الروابط المتتبَّعة (${lines.length}):\n${lines.join("\n") || "(لا يوجد)"}\n\n📢 رابط رسالة القناة: ${buildDeepLink("verify")}`);
+            return;
+        }
+
+        bot.sendMessage(userId, "➡️ الاستخدام:\n`/deeplink create [رمز] [وصف]`\n`/deeplink list`\n`/deeplink delete [رمز]`", { parse_mode: "Markdown" });
+    }
+
+    // /stats command handler (admin-only) — `/stats sources`: starts and approvals per deep link and referrer
+    async function handleStatsCommand(msg, args) {
+        const userId = msg.from.id;
+        if ((args[0] || "").toLowerCase() !== "sources") {
+            bot.sendMessage(userId, "➡️ الاستخدام: `/stats sources`", { parse_mode: "Markdown" });
+            return;
+        }
+
+        const approvedRecords = Object.values(verifiedUsers).filter(record => record.verifiedAt);
+        const approvalsBySource = {};
+        const referrers = {};
+        for (const record of approvedRecords) {
+            const sourceKey = record.source?.referrerId ? "ref" : record.source?.payload || "none";
+            approvalsBySource[sourceKey] = (approvalsBySource[sourceKey] || 0) + 1;
+            if (record.source?.referrerId) referrers[record.source.referrerId] = (referrers[record.source.referrerId] || 0) + 1;
+        }
+        const startsBySource = {};
+        for (const [payload, count] of Object.entries(deepLinks.starts)) {
+            const sourceKey = payload.startsWith("ref_") ? "ref" : payload;
+            startsBySource[sourceKey] = (startsBySource[sourceKey] || 0) + count;
+        }
+
+        const sourceLabel = sourceKey => sourceKey === "verify" ? "📢 رسالة القناة (verify)"
+            : sourceKey === "ref" ? "👥 الإحالات"
+            : sourceKey === "faq" ? "❓ رابط الأسئلة الشائعة (faq)"
+            : sourceKey === "none" ? "➖ بدون رابط"
+            : `🔗 ${sourceKey}${deepLinks.campaigns[sourceKey]?.label ? ` — ${deepLinks.campaigns[sourceKey].label}` : ""}${deepLinks.campaigns[sourceKey] ? "" : " (محذوف)"}`;
+        const sourceKeys = [...new Set([...Object.keys(startsBySource), ...Object.keys(approvalsBySource), ...Object.keys(deepLinks.campaigns)])]
+            .sort((a, b) => (approvalsBySource[b] || 0) - (approvalsBySource[a] || 0));
+        const sourceLines = sourceKeys.map(sourceKey => {
+            const starts = startsBySource[sourceKey];
+            const approved = approvalsBySource[sourceKey] || 0;
+            const conversion = starts ? ` (${Math.round((approved / starts) * 100)}%)` : "";
+            return `${sourceLabel(sourceKey)}: ${starts ?? "—"} بدء | ${approved} قبول${conversion}`;
+        });
+
+        const referrerLines = Object.entries(referrers)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([referrerId, count], i) => {
+                const record = verifiedUsers[referrerId];
+                return `${i + 1}. ${record ? formatUserLabel(record) : referrerId} (ID: ${referrerId}) — ${count} قبول، ${deepLinks.starts[`ref_${referrerId}`] || 0} بدء`;
+            });
+
+        let text = `📊 مصادر الانضمام (${approvedRecords.length} مستخدم مقبول):\n${sourceLines.join("\n") || "(لا توجد بيانات بعد)"}`;
+        if (referrerLines.length > 0) text += `\n\n🏆 أفضل المُحيلين:\n${referrerLines.join("\n")}`;
+        bot.sendMessage(userId, text);
+    }
+
+    // Starts verification (after /start and its payload are handled); `source` ({ payload, referrerId }) credits the deep link
+    async function handleStartCommandForVerification(msg, source = null) {
+        const userId = msg.from.id;
+
+        // Prevent starting if already verified
+        if (isUserVerified(userId)) {
+            bot.sendMessage(userId, userText(userId, "verification.alreadyVerified"));
+            return;
+        }
+
+        // Prevent starting if already in a verification process
+         if (verificationSessions[userId] || pendingApprovals[userId]) {
+            bot.sendMessage(userId, userText(userId, "verification.inProgress"));
+            return;
+        }
+
+        // Rejected users wait out their cooldown before reapplying
+        const reapplyAfter = verifiedUsers[userId]?.reapplyAfter;
+        if (reapplyAfter && new Date(reapplyAfter) > new Date()) {
+            const wait = formatWaitTime(new Date(reapplyAfter) - Date.now(), getUserLanguage(userId));
+            bot.sendMessage(userId, userText(userId, "verification.cooldown", { wait }));
+            return;
+        }
+
+        // --- Start Verification ---
+        const now = new Date().toISOString();
+        verificationSessions[userId] = { questions: pickVerificationQuestions(), step: 0, answers: [], startedAt: now, lastActivityAt: now, remindedAt: null };
+        // A plain /start clears the source of an earlier attempt, so a reapplication isn't credited to an old link
+        if (source) {
+            getUserRecord(msg.from).source = { ...source, at: now };
+            recordDeepLinkStart(source.payload);
+        } else if (verifiedUsers[userId]) {
+            verifiedUsers[userId].source = null;
+        }
+        saveState();
+
+        try {
+            await sendVerificationStep(userId);
+            console.log(`🚀 Started verification process for user ${userId} (${verificationSessions[userId].questions.length} questions)`);
+        } catch (error) {
+            console.error(`❌ خطأ في إرسال سؤال التحقق إلى المستخدم ${userId}:`, error.response?.body || error.message);
+            bot.sendMessage(userId, userText(userId, "verification.startFailed"));
+            delete verificationSessions[userId]; // Clean up session if sending failed
+            saveState();
+        }
+    }
+
+    // --- Verification Questionnaire Helpers ---
+
+    // Picks the session's questions: every "always" question, then fills up to questions_per_session from the rest of the bank
+    function pickVerificationQuestions() {
+        const { questions, questions_per_session: perSession, randomize } = verificationQuestions;
+        const fixedQuestions = questions.filter(q => q.always);
+        const pool = questions.filter(q => !q.always);
+
+        if (randomize) {
+            for (let i = pool.length - 1; i > 0; i--) { // Fisher-Yates shuffle
+                const j = Math.floor(Math.random() * (i + 1));
+                [pool[i], pool[j]] = [pool[j], pool[i]];
+            }
+        }
+
+        const count = Math.max(Math.min(Number(perSession) || questions.length, questions.length), fixedQuestions.length);
+        return [...fixedQuestions, ...pool].slice(0, count);
+    }
+
+    // Option labels in the given language (question text and options may be per-language objects in the config)
+    function getVerificationQuestionOptions(question, language = DEFAULT_LANGUAGE) {
+        if (question.type === "yesno") return [t(language, "verification.yes"), t(language, "verification.no")];
+        if (question.type === "choice") return localize(question.options, language);
+        return []; // Free-text question
+    }
+
+    // Sends the session's current question, with option buttons (choice/yesno) and a back button after the first step
+    async function sendVerificationStep(userId) {
+        const session = verificationSessions[userId];
+        const question = session.questions[session.step];
+        const language = getUserLanguage(userId);
+        const options = getVerificationQuestionOptions(question, language);
+
+        // Step number in callback data lets us ignore clicks on buttons of earlier questions
+        const keyboard = options.map((option, i) => [{ text: option, callback_data: `vq_${session.step}_${i}` }]);
+        if (session.step > 0) {
+            keyboard.push([{ text: t(language, "verification.back"), callback_data: `vqback_${session.step}` }]);
+        }
+
+        const hint = t(language, options.length > 0 ? "verification.hintButtons" : "verification.hintText");
+        const header = t(language, "verification.questionHeader", { current: session.step + 1, total: session.questions.length });
+
+        await bot.sendMessage(userId, `${header}\n${localize(question.text, language)}\n\n${hint}`, {
+            parse_mode: "Markdown",
+            ...(keyboard.length > 0 && { reply_markup: { inline_keyboard: keyboard } })
+        });
+    }
+
+    // Records the answer for the current step, then either asks the next question or submits the transcript for review
+    async function recordVerificationAnswer(user, answer) {
+        const userId = user.id;
+        const session = verificationSessions[userId];
+        session.answers[session.step] = answer;
+        session.step++;
+        session.lastActivityAt = new Date().toISOString();
+        session.remindedAt = null;
+        saveState();
+
+        if (session.step < session.questions.length) {
+            try {
+                await sendVerificationStep(userId);
+            } catch (error) {
+                console.error(`❌ خطأ في إرسال سؤال التحقق التالي إلى المستخدم ${userId}:`, error.response?.body || error.message);
+                bot.sendMessage(userId, userText(userId, "verification.nextFailed"));
+                delete verificationSessions[userId];
+                saveState();
+            }
+            return;
+        }
+
+        // All steps answered: move from active session to pending (reviewers read the questions in the default language)
+        const transcript = session.questions.map((question, i) => ({ question: localize(question.text, DEFAULT_LANGUAGE), type: question.type, answer: session.answers[i] }));
+        pendingApprovals[userId] = { transcript, submittedAt: new Date().toISOString() };
+        metrics.increment("verifications_submitted_total");
+        delete verificationSessions[userId];
+        const submission = { submittedAt: new Date().toISOString(), transcript, decision: "pending", decidedBy: null, decidedAt: null };
+        getUserRecord(user).history.push(submission);
+        saveState();
+
+        try {
+            const screening = await screenVerificationAnswers(transcript); // null when screening is disabled or failed
+            const autoDecision = screening ? decideAutomatically(screening) : null;
+            if (autoDecision) {
+                await applyAutomaticDecision(user, transcript, screening, autoDecision);
+                return;
+            }
+
+            pendingApprovals[userId].screening = screening;
+            pendingApprovals[userId].reviewMessages = await sendVerificationAnswerToAdmin(user, transcript, screening);
+            saveState();
+            await bot.sendMessage(userId, userText(userId, "verification.submitted"));
+            console.log(`✅ Received all ${transcript.length} verification answers from user ${userId}. Sent to admin.`);
+        } catch (error) {
+            console.error(`❌ Error handling verification answers for user ${userId} or sending admin message:`, error);
+            bot.sendMessage(userId, userText(userId, "verification.submitFailed"));
+            // Clean up pending approval if admin message failed potentially, and forget the submission that never reached review
+            if (pendingApprovals[userId]) {
+                delete pendingApprovals[userId];
+                const history = getUserRecord(userId).history;
+                if (history.includes(submission)) history.splice(history.indexOf(submission), 1);
+                saveState();
+            }
+        }
+    }
+
+    async function goBackVerificationStep(userId) {
+        const session = verificationSessions[userId];
+        if (session.step === 0) {
+            bot.sendMessage(userId, userText(userId, "verification.firstQuestion"));
+            return;
+        }
+        session.step--;
+        session.answers.length = session.step; // Forget the answer being redone (and anything after it)
+        session.lastActivityAt = new Date().toISOString();
+        saveState();
+        try {
+            await sendVerificationStep(userId);
+        } catch (error) {
+            console.error(`❌ خطأ في إعادة إرسال سؤال التحقق السابق إلى المستخدم ${userId}:`, error.response?.body || error.message);
+        }
+    }
+
+    // Handles the user's option/back button clicks on questionnaire messages (vq_<step>_<option> / vqback_<step>)
+    const answeringUsers = new Set(); // Users whose button answer is being recorded (a double click must not answer twice)
+
+    async function handleVerificationQuestionCallback(query) {
+        const userId = query.from.id;
+        const session = verificationSessions[userId];
+        const [action, stepStr, optionStr] = query.data.split("_");
+
+        if (!session || Number(stepStr) !== session.step || answeringUsers.has(userId)) {
+            await bot.answerCallbackQuery(query.id, { text: userText(userId, "verification.inactiveQuestion") });
+            return;
+        }
+
+        // Claimed before the first await; released once the step has moved on
+        answeringUsers.add(userId);
+        try {
+            await handleVerificationQuestionAnswer(query, session, action, optionStr);
+        } finally {
+            answeringUsers.delete(userId);
+        }
+    }
+
+    async function handleVerificationQuestionAnswer(query, session, action, optionStr) {
+        const userId = query.from.id;
+        if (action === "vqback") {
+            await bot.answerCallbackQuery(query.id);
+            await goBackVerificationStep(userId);
+            return;
+        }
+
+        // The user sees the option in their language; the transcript stores the default-language label for reviewers
+        const question = session.questions[session.step];
+        const option = getVerificationQuestionOptions(question, getUserLanguage(userId))[Number(optionStr)];
+        if (option === undefined) {
+            await bot.answerCallbackQuery(query.id, { text: userText(userId, "verification.invalidOption") });
+            return;
+        }
+
+        await bot.answerCallbackQuery(query.id, { text: `✅ ${option}` });
+        // Show the chosen option on the question message and drop its buttons
+        try {
+            await bot.editMessageText(`${query.message.text}\n\n${userText(userId, "verification.yourAnswer", { answer: option })}`, {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
+            });
+        } catch (editError) {
+            console.warn(`⚠️ Could not edit verification question message for user ${userId}:`, editError.message);
+        }
+        await recordVerificationAnswer(query.from, getVerificationQuestionOptions(question)[Number(optionStr)]);
+    }
+
+
+    // ⌨️ Commands
+    // Every command is declared here once; the router, /help and Telegram's command menus are all built from this list.
+    // Permission and chat type are checked by the router, so the handlers only deal with their arguments.
+    const commandRegistry = createCommandRegistry();
+    [
+        // Members
+        { name: "start", chatTypes: "private", description: { ar: "بدء التحقق للانضمام إلى المجموعة", en: "Start verification to join the group", fr: "Commencer la vérification pour rejoindre le groupe" }, handler: handleStartCommand },
+        { name: "help", description: { ar: "عرض الأوامر المتاحة", en: "Show the available commands", fr: "Afficher les commandes disponibles" }, handler: msg => handleHelpCommand(msg) },
+        { name: "chat", rawArgs: true, args: { ar: "<رسالتك>", en: "<message>", fr: "<message>" }, description: { ar: "التحدث مع المساعد الذكي", en: "Talk to the AI assistant", fr: "Discuter avec l'assistant IA" }, handler: handleChatCommand },
+        { name: "reset", description: { ar: "مسح سجل المحادثة مع المساعد", en: "Clear your conversation with the assistant", fr: "Effacer votre conversation avec l'assistant" }, handler: msg => handleResetCommand(msg) },
+        { name: "lang", args: `[${SUPPORTED_LANGUAGES.join("|")}|auto]`, description: { ar: "تغيير لغة البوت", en: "Change the bot's language", fr: "Changer la langue du bot" }, handler: handleLangCommand },
+        { name: "referral", chatTypes: "private", description: { ar: "رابط الإحالة الخاص بك", en: "Your referral link", fr: "Votre lien de parrainage" }, handler: msg => handleReferralCommand(msg) },
+        { name: "appeal", chatTypes: "private", rawArgs: true, args: { ar: "<السبب>", en: "<reason>", fr: "<motif>" }, description: { ar: "الاعتراض على رفض طلب التحقق", en: "Appeal a rejected verification", fr: "Contester un refus de vérification" }, handler: handleAppealCommand },
+        // Staff (descriptions in Arabic, like the rest of the staff interface)
+        { name: "pending", permission: "review", description: "عرض طلبات التحقق المعلقة", handler: msg => handlePendingCommand(msg) },
+        { name: "sendverify", permission: "sendverify", description: "نشر رسالة التحقق في القناة", handler: msg => handleSendVerifyCommand(msg) },
+        { name: "deeplink", permission: "sendverify", args: "create|list|delete", description: "إنشاء روابط /start متتبَّعة", handler: handleDeepLinkCommand },
+        { name: "stats", permission: "audit", args: "sources", description: "إحصائيات مصادر الانضمام", handler: handleStatsCommand },
+        { name: "broadcast", permission: "broadcast", chatTypes: "private", description: "بث رسالة أو جدولتها", handler: msg => handleBroadcastCommand(msg) },
+        { name: "scheduled", permission: "broadcast", args: "[cancel <المعرف>]", description: "البث المجدول وإلغاؤه", handler: handleScheduledCommand },
+        { name: "verified", permission: "manage_users", args: "[الصفحة]", description: "قائمة الأعضاء الموثقين", handler: handleVerifiedCommand },
+        { name: "whois", permission: "manage_users", args: "<ID أو @username>", description: "عرض سجل مستخدم", handler: handleWhoisCommand },
+        { name: "unverify", permission: "manage_users", args: "<ID أو @username>", description: "إلغاء توثيق مستخدم", handler: handleUnverifyCommand },
+        { name: "reverify", permission: "manage_users", args: "<ID أو @username>", description: "مطالبة مستخدم بإعادة التحقق", handler: handleReverifyCommand },
+        { name: "revokelink", permission: "manage_users", args: "<ID أو @username>", description: "إلغاء رابط دعوة مستخدم", handler: handleRevokeLinkCommand },
+        { name: "faq", permission: "manage_faq", rawArgs: true, args: "list|addkw|delkw|addans|delans", description: "إدارة الردود التلقائية", handler: handleFaqCommand },
+        { name: "kb", permission: "manage_faq", args: "add|list|remove|search", description: "قاعدة المعرفة لإجابات الذكاء الاصطناعي", handler: handleKnowledgeBaseCommand },
+        { name: "aimode", permission: "manage_ai", chatTypes: "group", args: "reply|mention|prefix|off|default|allow|deny|unlist", description: "ضبط متى يرد الذكاء الاصطناعي في المحادثة", handler: handleAiModeCommand },
+        { name: "aihistory", permission: "manage_ai", args: "<دقائق>", description: "مدة الاحتفاظ بسجل المحادثة مع الذكاء الاصطناعي", handler: handleAiHistoryCommand },
+        { name: "aiconfig", permission: "manage_ai", rawArgs: true, args: "[model|temperature|maxtokens|prompt|provider] [القيمة]", description: "إعدادات مزود الذكاء الاصطناعي والنموذج", handler: handleAiConfigCommand },
+        { name: "usage", permission: "manage_ai", description: "استخدام الذكاء الاصطناعي اليوم", handler: msg => handleUsageCommand(msg) },
+        { name: "topicrule", permission: "manage_topics", chatTypes: "group", args: "add|del|clear", description: "قواعد المجموعة أو الموضوع", handler: handleTopicRuleCommand },
+        { name: "warn", permission: "moderate", chatTypes: "group", args: "[السبب]", description: "تحذير عضو (بالرد على رسالته)", handler: handleWarnCommand },
+        { name: "mute", permission: "moderate", chatTypes: "group", args: "[المدة] [السبب]", description: "كتم عضو (بالرد على رسالته)", handler: handleMuteCommand },
+        { name: "unmute", permission: "moderate", chatTypes: "group", description: "إلغاء كتم عضو", handler: handleUnmuteCommand },
+        { name: "ban", permission: "moderate", chatTypes: "group", args: "[السبب]", description: "حظر عضو (بالرد على رسالته)", handler: handleBanCommand },
+        { name: "unban", permission: "moderate", chatTypes: "group", args: "<ID>", description: "إلغاء حظر عضو", handler: handleUnbanCommand },
+        { name: "purge", permission: "moderate", chatTypes: "group", args: "<العدد>", description: "حذف آخر الرسائل", handler: handlePurgeCommand },
+        { name: "modlog", permission: "moderate", args: "[ID أو @username]", description: "سجل إجراءات الإشراف", handler: handleModLogCommand },
+        { name: "audit", permission: "audit", args: "[فلتر]", description: "عرض سجل التدقيق", handler: handleAuditCommand },
+        { name: "export", permission: "audit", args: "[فلتر]", description: "تصدير سجل التدقيق (CSV)", handler: handleExportCommand },
+        { name: "grant", permission: "manage_roles", args: `<ID أو @username> <${Object.keys(ROLE_PERMISSIONS).join("|")}>`, description: "منح دور لمستخدم", handler: handleGrantCommand },
+        { name: "revoke", permission: "manage_roles", args: "<ID أو @username>", description: "سحب دور مستخدم", handler: handleRevokeCommand },
+        { name: "roles", permission: "manage_roles", description: "عرض أدوار فريق الإشراف", handler: msg => handleRolesCommand(msg) }
+    ].forEach(command => commandRegistry.register(command));
+
+    // Commands `userId` may use, optionally only those available in `chatType`
+    function getAvailableCommands(userId, chatType = null) {
+        return commandRegistry.list({ chatType, canUse: permission => !permission || hasPermission(userId, permission) });
+    }
+
+    function formatCommandUsage(command, language) {
+        const args = localize(command.args, language);
+        return args ? `/${command.name} ${args}` : `/${command.name}`;
+    }
+
+    // /help command handler — lists the commands the user can use in this chat, staff commands in their own section
+    async function handleHelpCommand(msg) {
+        const userId = msg.from.id;
+        const language = getUserLanguage(userId);
+        const commands = getAvailableCommands(userId, msg.chat.type);
+        const formatLines = list => list.map(command => `${formatCommandUsage(command, language)} — ${localize(command.description, language)}`).join("\n");
+
+        let text = `${t(language, "help.title")}\n${formatLines(commands.filter(command => !command.permission))}`;
+        const staffCommands = commands.filter(command => command.permission);
+        if (staffCommands.length > 0) text += `\n\n${t(language, "help.staffTitle")}\n${formatLines(staffCommands)}`;
+        bot.sendMessage(msg.chat.id, text, { reply_to_message_id: msg.message_id });
+    }
+
+    // Runs a command message; commands addressed to another bot (/cmd@OtherBot) are ignored
+    async function routeCommand(msg) {
+        const parsed = parseCommand(msg.text);
+        if (!parsed || isAddressedToOtherBot(parsed, BOT_USERNAME)) return;
+
+        const userId = msg.from.id;
+        const isPrivateChat = msg.chat.type === "private";
+        const reply = text => bot.sendMessage(msg.chat.id, text, { reply_to_message_id: msg.message_id });
+        const command = commandRegistry.get(parsed.name);
+
+        if (!command) {
+            // In groups, other bots' commands are expected: only answer when the command was addressed to this bot
+            if (!isPrivateChat && !parsed.botName) return;
+            const suggestions = commandRegistry.suggest(parsed.name, getAvailableCommands(userId).map(available => available.name));
+            reply(suggestions.length > 0
+                ? userText(userId, "commands.unknownSuggest", { command: `/${parsed.name}`, suggestions: suggestions.map(name => `/${name}`).join(", ") })
+                : userText(userId, "commands.unknown", { command: `/${parsed.name}` }));
+            return;
+        }
+        if (command.permission && !hasPermission(userId, command.permission)) {
+            bot.sendMessage(userId, userText(userId, command.permission === "manage_roles" ? "common.ownerOnly" : "common.adminOnly"));
+            return;
+        }
+        if (!chatTypeMatches(command.chatTypes, msg.chat.type)) {
+            // Same as unknown commands: /start, /appeal and the like are often meant for another bot in the group
+            if (!isPrivateChat && !parsed.botName) return;
+            const usage = formatCommandUsage(command, getUserLanguage(userId));
+            reply(userText(userId, command.chatTypes === "private" ? "commands.privateOnly" : "commands.groupOnly", { command: usage }));
+            return;
+        }
+
+        const args = command.rawArgs ? parsed.argsText.split(" ").filter(Boolean) : parsed.args;
+        await command.handler(msg, args);
+    }
+
+    // Telegram command menus, built from the registry: members get per-language lists for private chats and groups,
+    // group admins also see the group staff commands, and every staff member gets their own private-chat list.
+    // Menus are limited to 100 commands, far more than we have.
+    function toBotCommands(commands, language) {
+        return commands.map(command => ({ command: command.name, description: localize(command.description, language).slice(0, 256) }));
+    }
+
+    async function syncStaffCommandMenu(userId) {
+        const scope = { type: "chat", chat_id: Number(userId) };
+        try {
+            if (getUserRole(userId)) {
+                await bot.setMyCommands(toBotCommands(getAvailableCommands(userId, "private"), getUserLanguage(userId)), { scope });
+            } else {
+                await bot.deleteMyCommands({ scope: JSON.stringify(scope) }); // Back to the members' private-chat menu
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not update the command menu of user ${userId}:`, error.response?.body?.description || error.message);
+        }
+    }
+
+    async function syncCommandMenus() {
+        const memberCommands = chatType => getAvailableCommands(null, chatType);
+        const groupAdminCommands = commandRegistry.list({ chatType: "group", canUse: permission => !permission || ROLE_PERMISSIONS.moderator.includes(permission) });
+        const menus = [
+            { scope: { type: "default" }, commands: memberCommands(null).filter(command => !command.chatTypes) },
+            { scope: { type: "all_private_chats" }, commands: memberCommands("private") },
+            { scope: { type: "all_group_chats" }, commands: memberCommands("group") },
+            { scope: { type: "all_chat_administrators" }, commands: groupAdminCommands }
+        ];
+        try {
+            for (const { scope, commands } of menus) {
+                // No language_code = fallback for languages without their own list
+                await bot.setMyCommands(toBotCommands(commands, DEFAULT_LANGUAGE), { scope });
+                for (const language of SUPPORTED_LANGUAGES) {
+                    await bot.setMyCommands(toBotCommands(commands, language), { scope, language_code: language });
+                }
+            }
+        } catch (error) {
+            console.error("❌ Failed to set the command menus:", error.response?.body?.description || error.message);
+            return;
+        }
+        for (const staffUserId of [ADMIN_ID, ...Object.keys(roles).map(Number)]) {
+            await syncStaffCommandMenu(staffUserId);
+        }
+        console.log("⌨️ Command menus updated.");
+    }
+
+    // --- Main Message Listener ---
+    bot.on("message", async (msg) => {
+        metrics.increment("messages_total");
+        // 1. Apply the chat's/topic's rules first (nothing else runs for a deleted message)
+        if (await handleTopicRules(msg)) return;
+        // 1b. Anti-spam filter for groups (before FAQ, AI and commands)
+        if (await handleSpamFilter(msg)) return;
+        // 1c. Content (or schedule time) for an admin's /broadcast draft — may be media, so before the text check
+        if (await handleBroadcastDraftMessage(msg)) return;
+        // 1d. Knowledge base files uploaded with the caption "/kb add"
+        if (await handleKnowledgeBaseUpload(msg)) return;
+
+        // Ignore messages without text or from bots
+        if (!msg.text || msg.from.is_bot) return;
+
+        const userId = msg.from.id;
+        const chatId = msg.chat.id;
+        const userInput = msg.text.trim();
+        const isPrivateChat = msg.chat.type === 'private';
+        updateUserLanguage(msg);
+        const inVerificationSession = isPrivateChat && Boolean(verificationSessions[userId]);
+
+        // A reviewer typing the reason for a rejection they started from a review message
+        if (await handleTypedRejectionReason(msg)) return;
+
+        // 2. Verification FAQ Auto-Reply (skipped for commands and for answers to an active verification question)
+        if (!userInput.startsWith('/') && !inVerificationSession) {
+            if (await handleVerificationFaqMessage(msg)) return;
+        }
+
+        // 3. Handle AI Chat on Reply (private chats) or on the chat's trigger (groups, see /aimode)
+        const aiPrompt = userInput.startsWith('/') || inVerificationSession ? null // Never for commands (or verification answers)
+            : isPrivateChat ? (msg.reply_to_message ? userInput : null)
+            : getAiTriggerPrompt(msg);
+        if (aiPrompt) {
+            if (!llmProvider) {
+                // Optionally inform user AI is disabled, or just do nothing
+                // bot.sendMessage(chatId, "⚠️ ميزة الرد بالذكاء الاصطناعي معطلة.", { reply_to_message_id: msg.message_id });
+                console.log("🤖 AI reply skipped (AI disabled).");
+                return;
+            }
+            if (!(await enforceAiRateLimit(msg))) return;
+            bot.sendChatAction(chatId, 'typing'); // Show typing indicator
+            try {
+                // Private chats keep one running conversation; in groups the reply chain is the conversation
+                let responseText;
+                if (isPrivateChat) {
+                    responseText = await generateGeneralChatResponse(quoteRepliedMessage(msg, userInput), getPrivateConversation(userId), userId);
+                    appendPrivateConversation(userId, userInput, responseText);
+                } else {
+                    responseText = await generateGeneralChatResponse(aiPrompt, getReplyChainContext(msg), userId);
+                }
+                // The follow-up parts aren't replies, so in a forum they need the topic to stay out of General
+                const sentMessages = await sendLongMessage(chatId, responseText, {
+                    reply_to_message_id: msg.message_id,
+                    ...(msg.is_topic_message && { message_thread_id: msg.message_thread_id })
+                });
+                rememberChainMessage(chatId, msg.message_id, "user", aiPrompt, getRepliedMessage(msg)?.message_id, userId);
+                // Replying to any part of a split answer continues the same chain
+                for (const sentMessage of sentMessages) {
+                    rememberChainMessage(chatId, sentMessage.message_id, "assistant", responseText, msg.message_id, userId);
+                }
+            } catch (apiError) {
+                console.error("❌ خطأ في توليد استجابة الذكاء الاصطناعي عند الرد:", apiError);
+                bot.sendMessage(chatId, userText(userId, "chat.unavailable"), { reply_to_message_id: msg.message_id });
+            }
+            return; // Don't process further if it was an AI reply
+        }
+
+        // 4. Handle Verification Answer (Only in Private Chat)
+        if (inVerificationSession) {
+            const session = verificationSessions[userId];
+            if (answeringUsers.has(userId)) return; // A button answer for this step is still being recorded
+            if (userInput.toLowerCase() === "/back") {
+                await goBackVerificationStep(userId);
+                return;
+            }
+
+            // Option questions also accept the option typed out exactly (in the user's or the default language);
+            // anything else gets a nudge towards the buttons
+            let answer = userInput;
+            const question = session.questions[session.step];
+            const defaultOptions = getVerificationQuestionOptions(question);
+            if (defaultOptions.length > 0) {
+                const userOptions = getVerificationQuestionOptions(question, getUserLanguage(userId));
+                const matches = option => option.toLowerCase() === userInput.toLowerCase();
+                const index = userOptions.findIndex(matches) !== -1 ? userOptions.findIndex(matches) : defaultOptions.findIndex(matches);
+                if (index === -1) {
+                    bot.sendMessage(userId, userText(userId, "verification.useButtons"));
+                    return;
+                }
+                answer = defaultOptions[index];
+            }
+
+            await recordVerificationAnswer(msg.from, answer);
+            return; // Answer processed, stop further checks
+        }
+
+        // 5. Handle Commands (see the command registry above)
+        if (userInput.startsWith("/")) {
+            await routeCommand(msg);
+            return; // Command processed (or meant for another bot)
+        }
+
+        // 6. Optional: Handle general messages to the bot in private chat (e.g., default AI chat)
+        if (isPrivateChat && llmProvider) {
+            if (!(await enforceAiRateLimit(msg))) return;
+            bot.sendChatAction(chatId, 'typing');
+             try {
+                const responseText = await generateGeneralChatResponse(userInput, getPrivateConversation(userId), userId);
+                appendPrivateConversation(userId, userInput, responseText);
+                await sendLongMessage(userId, responseText);
+            } catch (apiError) {
+                console.error("❌ خطأ في توليد استجابة الذكاء الاصطناعي للمحادثة العامة:", apiError);
+                bot.sendMessage(userId, userText(userId, "chat.unavailable"));
+            }
+             return;
+        }
+
+    });
+
+    // --- Helper Functions for Verification Flow ---
+
+    function buildReviewKeyboard(userId) {
+        return [
+            [{ text: "✅ قبول", callback_data: `approve_${userId}` }],
+            [{ text: "❌ رفض", callback_data: `reject_${userId}` }]
+        ];
+    }
+
+    // Review message text (Markdown) for a request; user-supplied parts are escaped.
+    // `screening` (optional) is the AI pre-screening result; `autoDecision` (optional) is { decision, resultText } when it was already acted on
+    function buildVerificationReviewText(user, transcript, screening = null, autoDecision = null) {
+        const userId = user.id;
+        const firstName = escapeMarkdown(user.first_name);
+        const username = user.username ? escapeMarkdown(`@${user.username}`) : '(لا يوجد)';
+
+        const transcriptText = transcript
+            .map((entry, i) => `📝 **السؤال ${i + 1}:** ${escapeMarkdown(entry.question)}\n✍️ **الإجابة:** ${escapeMarkdown(entry.answer)}`)
+            .join("\n\n");
+
+        let adminMessage = `🔔 **طلب تحقق جديد!**
+👤 المستخدم: ${firstName} (${username}) (ID: ${userId})
+
+${transcriptText}`;
+
+        if (screening) {
+            adminMessage += `\n\n🤖 **تقييم الذكاء الاصطناعي:** ${screening.score}/100\n💬 ${escapeMarkdown(screening.rationale)}\n📌 التوصية: ${SCREENING_RECOMMENDATION_LABELS[screening.recommendation]}`;
+        }
+
+        if (autoDecision) {
+            adminMessage += `\n\n⚡ **قرار تلقائي:** ${escapeMarkdown(autoDecision.resultText)}`;
+        }
+        return adminMessage;
+    }
+
+    // Review message text for a pending request, rebuilt from what was stored when it was submitted
+    function buildPendingReviewText(userId, pendingRequest) {
+        const record = verifiedUsers[userId] || {};
+        const user = { id: userId, first_name: record.firstName || "(بدون اسم)", username: record.username };
+        return buildVerificationReviewText(user, pendingRequest.transcript, pendingRequest.screening);
+    }
+
+    // Appends the outcome to a review message text; `label` is the Arabic heading ("النتيجة", "التراجع")
+    function appendReviewOutcome(reviewText, label, resultText, actor) {
+        return `${reviewText}\n\n---\n**${label}: ${escapeMarkdown(resultText)}** (بواسطة ${escapeMarkdown(actor.first_name)})`;
+    }
+
+    // Sends the request to the review group or to every reviewer (see buildVerificationReviewText for the arguments)
+    async function sendVerificationAnswerToAdmin(user, transcript, screening = null, autoDecision = null) {
+        const userId = user.id;
+        const adminMessage = buildVerificationReviewText(user, transcript, screening, autoDecision);
+        const inlineKeyboard = autoDecision
+            ? [[{ text: "↩️ التراجع عن القرار التلقائي", callback_data: `undoauto_${userId}` }]]
+            : buildReviewKeyboard(userId);
+
+        const adminKeyboard = {
+            reply_markup: {
+                inline_keyboard: inlineKeyboard
+            }
+        };
+
+        // Returns every copy sent so the others can be updated once one reviewer acts
+        const reviewMessages = [];
+        let lastError = null;
+        for (const chatId of getReviewTargets()) {
+            try {
+                const sent = await bot.sendMessage(chatId, adminMessage, { parse_mode: "Markdown", ...adminKeyboard });
+                reviewMessages.push({ chatId, messageId: sent.message_id });
+            } catch (error) {
+                console.error(`❌ Error sending verification details for user ${userId} to reviewer chat ${chatId}:`, error.response?.body || error.message);
+                lastError = error;
+            }
+        }
+
+        if (reviewMessages.length === 0) {
+            // Rethrow the error so the calling function knows it failed
+            throw new Error(`Failed to send verification to any reviewer: ${lastError?.message}`);
+        }
+        return reviewMessages;
+    }
+
+    // --- Callback Query Handler (Admin Buttons) ---
+    bot.on("callback_query", async (query) => {
+        metrics.increment("callback_queries_total");
+        const adminUserId = query.from.id;
+        const data = query.data;
+        const message = query.message; // Message the buttons are attached to
+
+        // Questionnaire buttons are clicked by the user being verified, not the admin
+        if (data.startsWith("vq_") || data.startsWith("vqback_")) {
+            await handleVerificationQuestionCallback(query);
+            return;
+        }
+
+        // /lang buttons can be used by anyone
+        if (data.startsWith("lang_")) {
+            const choice = data.slice("lang_".length);
+            if (choice !== "auto" && !isSupportedLanguage(choice)) {
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            await bot.answerCallbackQuery(query.id, { text: setUserLanguageOverride(query.from.id, choice) });
+            return;
+        }
+
+        // Everything below is for staff buttons; each action checks its own permission
+        const requiredPermission = data.startsWith("verifiedpage_") ? "manage_users"
+            : data.startsWith("spam") ? "moderate"
+            : data.startsWith("bc") ? "broadcast"
+            : "review";
+        if (!hasPermission(adminUserId, requiredPermission)) {
+            await bot.answerCallbackQuery(query.id, { text: "❌ ليس لديك صلاحية لهذا الإجراء!" });
+            return;
+        }
+
+        if (data.startsWith("spamrestore_") || data.startsWith("spamban_")) {
+            await handleSpamReportCallback(query);
+            return;
+        }
+
+        if (data.startsWith("bctarget_") || ["bcnow", "bcschedule", "bccancel"].includes(data)) {
+            await handleBroadcastCallback(query);
+            return;
+        }
+
+        if (data.startsWith("undoauto_")) {
+            await handleUndoAutomaticDecision(query);
+            return;
+        }
+
+        if (data.startsWith("verifiedpage_")) {
+            const page = buildVerifiedUsersPage(Number(data.split("_")[1]));
+            await bot.answerCallbackQuery(query.id);
+            try {
+                await bot.editMessageText(page.text, { chat_id: message.chat.id, message_id: message.message_id, ...page.options });
+            } catch (editError) {
+                console.warn(`⚠️ Could not edit /verified page for callback ${query.id}:`, editError.message);
+            }
+            return;
+        }
+
+        if (/^(reject|rejreason|rejcustom|rejnone|rejback)_/.test(data)) {
+            await handleRejectionCallback(query);
+            return;
+        }
+
+        if (data.startsWith("appealok_") || data.startsWith("appealno_")) {
+            await handleAppealCallback(query);
+            return;
+        }
+
+        if (data.startsWith("approve_")) {
+            const targetUserIdNum = Number(data.split("_")[1]);
+
+            if (isNaN(targetUserIdNum)) {
+                 console.error(`❌ Invalid targetUserId in callback data: ${data}`);
+                 await bot.answerCallbackQuery(query.id, { text: "⚠️ خطأ: معرّف المستخدم غير صالح." });
+                 return;
+            }
+
+            // Check if the approval request still exists
+            if (!pendingApprovals[targetUserIdNum]) {
+                await bot.answerCallbackQuery(query.id, { text: "⚠️ الطلب تمت معالجته بالفعل أو انتهت صلاحيته." });
+                 // Optionally edit the admin message to indicate it's processed
+                 try {
+                     // The request is gone, so only the received (plain) text is left to show
+                     await bot.editMessageText(message.text + "\n\n---\n✅ (تمت المعالجة)", {
+                         chat_id: message.chat.id,
+                         message_id: message.message_id
+                     });
+                 } catch (editError) {
+                     console.warn(`⚠️ Could not edit admin message after processing callback ${query.id}:`, editError.message);
+                 }
+                return;
+            }
+
+            // Claim the request *before* processing so a second reviewer's click can't act on it twice
+            const pendingRequest = pendingApprovals[targetUserIdNum];
+            delete pendingApprovals[targetUserIdNum];
+            saveState();
+
+            const resultText = await approveUserVerification(targetUserIdNum, query);
+
+            // Edit every reviewer's copy of the request to show the action taken
+            const reviewMessages = pendingRequest.reviewMessages || [{ chatId: message.chat.id, messageId: message.message_id }];
+            await updateReviewMessageCopies(reviewMessages, appendReviewOutcome(buildPendingReviewText(targetUserIdNum, pendingRequest), "النتيجة", resultText, query.from));
+
+        } else {
+            // Handle other potential callback data if needed
+            await bot.answerCallbackQuery(query.id); // Acknowledge other callbacks silently
+        }
+    });
+
+
+    // `query` is the admin's callback query (null when not triggered by a button); `actor` is the deciding admin,
+    // or null when the decision was made automatically by AI screening
+    async function approveUserVerification(targetUserIdNum, query, actor = query ? query.from : null) {
+        const record = getUserRecord(targetUserIdNum);
+        record.verified = true; // Mark as verified
+        record.verifiedAt = new Date().toISOString();
+        record.approvedBy = describeActor(actor);
+        record.reapplyAfter = null;
+        resolveLatestSubmission(record, "approved", actor);
+        metrics.increment("verifications_approved_total");
+        saveState(); // Save the updated record
+        let adminFeedback = "✅ تم قبول المستخدم";
+
+        try {
+            await bot.sendMessage(targetUserIdNum, userText(targetUserIdNum, "verification.approved"));
+            console.log(`✅ User ${targetUserIdNum} approved by ${actor ? `admin ${actor.id}` : "AI screening"}`);
+
+            // Send a personal single-use invite link to the private group if configured
+            if (PRIVATE_GROUP_ID) {
+                try {
+                    if (await isPrivateGroupMember(targetUserIdNum)) {
+                        console.log(`   - User ${targetUserIdNum} is already in the private group.`);
+                        await bot.sendMessage(targetUserIdNum, userText(targetUserIdNum, "verification.alreadyInGroup")); // Inform user
+                        adminFeedback += " (موجود بالفعل بالمجموعة)";
+                    } else {
+                        const inviteLink = await createPersonalInviteLink(targetUserIdNum);
+                        await bot.sendMessage(targetUserIdNum, userText(targetUserIdNum, "verification.inviteLink", { link: inviteLink, hours: INVITE_LINK_EXPIRY_HOURS }));
+                        console.log(`🔗 Sent personal private group invite link to approved user ${targetUserIdNum}.`);
+                        adminFeedback += " (تم إرسال رابط دعوة خاص)";
+                    }
+                } catch (groupError) {
+                    console.error(`❌ Error creating or sending invite link for user ${targetUserIdNum} in private group ${PRIVATE_GROUP_ID}:`, groupError.response?.body || groupError.message);
+                    const failureText = PRIVATE_GROUP_INVITE_LINK
+                        ? userText(targetUserIdNum, "verification.inviteFailedManual", { link: PRIVATE_GROUP_INVITE_LINK })
+                        : userText(targetUserIdNum, "verification.inviteFailedContact");
+                    await bot.sendMessage(targetUserIdNum, failureText);
+                    await bot.sendMessage(ADMIN_ID, `⚠️ فشل إرسال رابط الدعوة للمستخدم ${targetUserIdNum} (${targetUserIdNum}). قد يكون بحاجة للمساعدة اليدوية للانضمام للمجموعة الخاصة.`);
+                    adminFeedback += " (فشل إرسال الرابط)";
+                }
+            }
+            if (query) await bot.answerCallbackQuery(query.id, { text: "✅ تم التوثيق بنجاح!" });
+
+        } catch (error) {
+            console.error(`❌ خطأ في إرسال رسالة التوثيق الناجح للمستخدم ${targetUserIdNum}:`, error.response?.body || error.message);
+            // Even if message fails, user is marked verified. Inform admin.
+            if (query) await bot.answerCallbackQuery(query.id, { text: "✅ تم التوثيق (خطأ في إرسال رسالة للمستخدم)" });
+            adminFeedback += " (خطأ بإرسال رسالة للمستخدم)";
+        }
+        auditLog.record("verification.approve", { actor: describeActor(actor), target: { userId: targetUserIdNum, name: record.firstName }, result: adminFeedback });
+        return adminFeedback; // Return text for admin message update
+    }
+
+    // `reason` (optional) is a preset reason's per-language text or the admin's typed text
+    async function rejectUserVerification(targetUserIdNum, query, actor = query ? query.from : null, reason = null) {
+        const record = getUserRecord(targetUserIdNum);
+        record.rejectionCount++;
+        record.lastRejectedAt = new Date().toISOString();
+        record.lastRejectionReason = reason;
+        const cooldownHours = getRejectionCooldownHours(record.rejectionCount);
+        record.reapplyAfter = cooldownHours > 0 ? new Date(Date.now() + cooldownHours * 60 * 60 * 1000).toISOString() : null;
+        resolveLatestSubmission(record, "rejected", actor, { reason });
+        metrics.increment("verifications_rejected_total");
+        saveState();
+
+        let adminFeedback = "❌ تم رفض المستخدم";
+        if (reason) adminFeedback += ` (السبب: ${localize(reason, DEFAULT_LANGUAGE)})`;
+        if (cooldownHours > 0) adminFeedback += ` — إعادة التقديم بعد ${formatWaitTime(cooldownHours * 60 * 60 * 1000, DEFAULT_LANGUAGE)}`;
+
+        const language = getUserLanguage(targetUserIdNum);
+        let userMessage = t(language, "verification.rejected");
+        if (reason) userMessage += `\n\n${t(language, "verification.rejectedReason", { reason: localize(reason, language) })}`;
+        if (cooldownHours > 0) userMessage += `\n${t(language, "verification.reapplyAfter", { wait: formatWaitTime(cooldownHours * 60 * 60 * 1000, language) })}`;
+        userMessage += `\n\n${t(language, "verification.appealHint")}`;
+        try {
+            await bot.sendMessage(targetUserIdNum, userMessage);
+            console.log(`❌ User ${targetUserIdNum} rejected by ${actor ? `admin ${actor.id}` : "AI screening"}`);
+            if (query) await bot.answerCallbackQuery(query.id, { text: "❌ تم رفض المستخدم." });
+        } catch (error) {
+            console.error(`❌ خطأ في إرسال رسالة الرفض للمستخدم ${targetUserIdNum}:`, error.response?.body || error.message);
+            if (query) await bot.answerCallbackQuery(query.id, { text: "❌ تم الرفض (خطأ في إرسال رسالة للمستخدم)" });
+            adminFeedback += " (خطأ بإرسال رسالة للمستخدم)";
+        }
+        auditLog.record("verification.reject", { actor: describeActor(actor), target: { userId: targetUserIdNum, name: record.firstName }, result: adminFeedback, details: { reason: localize(reason, DEFAULT_LANGUAGE), reapplyAfter: record.reapplyAfter } });
+        return adminFeedback; // Return text for admin message update
+    }
+
+
+    // Removes a user's verified status and kicks them from the private group; returns text for the admin
+    async function revokeUserVerification(targetUserIdNum, actor) {
+        const record = getUserRecord(targetUserIdNum);
+        record.verified = false;
+        record.unverifiedAt = new Date().toISOString();
+        record.unverifiedBy = describeActor(actor);
+        saveState();
+        let adminFeedback = "↩️ تم إلغاء توثيق المستخدم";
+
+        if (PRIVATE_GROUP_ID) {
+            await revokePersonalInviteLink(record);
+            try {
+                // unbanChatMember without only_if_banned removes a current member while still allowing them to rejoin later
+                await bot.unbanChatMember(PRIVATE_GROUP_ID, targetUserIdNum);
+            } catch (groupError) {
+                console.warn(`⚠️ Could not remove user ${targetUserIdNum} from private group ${PRIVATE_GROUP_ID}:`, groupError.response?.body || groupError.message);
+                adminFeedback += " (تعذر الإزالة من المجموعة الخاصة)";
+            }
+        }
+
+        try {
+            await bot.sendMessage(targetUserIdNum, userText(targetUserIdNum, "verification.revoked"));
+        } catch (error) {
+            console.error(`❌ خطأ في إرسال رسالة إلغاء التوثيق للمستخدم ${targetUserIdNum}:`, error.response?.body || error.message);
+            adminFeedback += " (خطأ بإرسال رسالة للمستخدم)";
+        }
+        console.log(`↩️ User ${targetUserIdNum} unverified by ${actor ? `admin ${actor.id}` : "AI screening"}`);
+        auditLog.record("verification.revoke", { actor: describeActor(actor), target: { userId: targetUserIdNum, name: record.firstName }, result: adminFeedback });
+        return adminFeedback;
+    }
+
+
+    // ⌛ Verification Queue Housekeeping
+    // Runs every minute: reminds users whose questionnaire is about to expire, expires idle sessions and
+    // unreviewed requests, and sends the reviewers a digest of the oldest waiting requests.
+    const HOUSEKEEPING_INTERVAL_MS = 60 * 1000;
+    const DIGEST_OLDEST_COUNT = 5;
+
+    // Sessions and requests saved before timestamps existed start their clock at the first sweep
+    function getSessionLastActivity(userId) {
+        const session = verificationSessions[userId];
+        if (!session.lastActivityAt) {
+            session.lastActivityAt = new Date().toISOString();
+            saveState();
+        }
+        return new Date(session.lastActivityAt).getTime();
+    }
+
+    function getPendingSubmittedAt(userId) {
+        const pending = pendingApprovals[userId];
+        if (!pending.submittedAt) {
+            const lastSubmission = verifiedUsers[userId]?.history.slice(-1)[0];
+            pending.submittedAt = lastSubmission?.submittedAt || new Date().toISOString();
+            saveState();
+        }
+        return new Date(pending.submittedAt).getTime();
+    }
+
+    async function expireVerificationSessions(now) {
+        for (const userIdStr of Object.keys(verificationSessions)) {
+            const userId = Number(userIdStr);
+            const session = verificationSessions[userId];
+            const expiresAt = getSessionLastActivity(userId) + SESSION_TIMEOUT_MINUTES * 60 * 1000;
+
+            if (now >= expiresAt) {
+                delete verificationSessions[userId];
+                saveState();
+                console.log(`⌛ Verification session of user ${userId} expired (step ${session.step + 1}/${session.questions.length}).`);
+                auditLog.record("verification.session_expire", { target: { userId }, details: { step: session.step } });
+                bot.sendMessage(userId, userText(userId, "verification.sessionExpired"))
+                    .catch(error => console.warn(`⚠️ Could not notify user ${userId} about the expired session:`, error.message));
+            } else if (!session.remindedAt && now >= expiresAt - SESSION_REMINDER_MINUTES * 60 * 1000) {
+                session.remindedAt = new Date(now).toISOString();
+                saveState();
+                const wait = formatWaitTime(expiresAt - now, getUserLanguage(userId));
+                bot.sendMessage(userId, userText(userId, "verification.sessionReminder", { wait }))
+                    .catch(error => console.warn(`⚠️ Could not send session reminder to user ${userId}:`, error.message));
+            }
+        }
+    }
+
+    async function expirePendingApprovals(now) {
+        for (const userIdStr of Object.keys(pendingApprovals)) {
+            const userId = Number(userIdStr);
+            if (now < getPendingSubmittedAt(userId) + APPROVAL_TIMEOUT_HOURS * 60 * 60 * 1000) continue;
+
+            const pendingRequest = pendingApprovals[userId];
+            delete pendingApprovals[userId];
+            const record = getUserRecord(userId);
+            resolveLatestSubmission(record, "expired", null, { decidedBy: "system" });
+            saveState();
+            console.log(`⌛ Verification request of user ${userId} expired without review.`);
+            auditLog.record("verification.expire", { target: { userId, name: record.firstName }, result: "expired" });
+
+            await updateReviewMessageCopies(pendingRequest.reviewMessages || [], `⌛ انتهت صلاحية طلب التحقق للمستخدم ${formatUserLabel(record)} (ID: ${userId}) دون مراجعة.`, null);
+            bot.sendMessage(userId, userText(userId, "verification.requestExpired"))
+                .catch(error => console.warn(`⚠️ Could not notify user ${userId} about the expired request:`, error.message));
+        }
+    }
+
+    async function sendPendingDigest(now) {
+        if (!DIGEST_INTERVAL_HOURS) return;
+        const lastDigestAt = settings.lastDigestAt ? new Date(settings.lastDigestAt).getTime() : 0;
+        if (now - lastDigestAt < DIGEST_INTERVAL_HOURS * 60 * 60 * 1000) return;
+        settings.lastDigestAt = new Date(now).toISOString();
+        saveState();
+
+        const waiting = Object.keys(pendingApprovals)
+            .map(userIdStr => ({ userId: Number(userIdStr), submittedAt: getPendingSubmittedAt(Number(userIdStr)) }))
+            .sort((a, b) => a.submittedAt - b.submittedAt);
+        if (waiting.length === 0) return;
+
+        const lines = waiting.slice(0, DIGEST_OLDEST_COUNT).map(({ userId, submittedAt }) => {
+            const record = verifiedUsers[userId];
+            const age = formatWaitTime(now - submittedAt, DEFAULT_LANGUAGE);
+            const expiresIn = formatWaitTime(submittedAt + APPROVAL_TIMEOUT_HOURS * 60 * 60 * 1000 - now, DEFAULT_LANGUAGE);
+            return `• ${record ? formatUserLabel(record) : userId} (ID: ${userId}) — ينتظر منذ ${age}، ينتهي بعد ${expiresIn}`;
+        });
+        const text = `📬 ملخص طلبات التحقق المعلقة: ${waiting.length} طلب\n\n⏳ الأقدم:\n${lines.join("\n")}\n\n📋 لعرض الطلبات مع أزرار القبول والرفض: /pending`;
+        for (const chatId of getReviewTargets()) {
+            bot.sendMessage(chatId, text).catch(error => console.warn(`⚠️ Could not send the pending digest to ${chatId}:`, error.message));
+        }
+        console.log(`📬 Sent pending digest (${waiting.length} requests).`);
+    }
+
+    async function runVerificationHousekeeping() {
+        const now = Date.now();
+        try {
+            await expireVerificationSessions(now);
+            await expirePendingApprovals(now);
+            await sendPendingDigest(now);
+        } catch (error) {
+            console.error("❌ Error during verification housekeeping:", error);
+        }
+    }
+
+    // /pending command handler (reviewers) — one message per waiting request with approve/reject buttons
+    const PENDING_LIST_LIMIT = 20;
+
+    async function handlePendingCommand(msg) {
+        const userId = msg.from.id;
+        const chatId = msg.chat.id;
+        const now = Date.now();
+        const waiting = Object.keys(pendingApprovals)
+            .map(userIdStr => ({ userId: Number(userIdStr), submittedAt: getPendingSubmittedAt(Number(userIdStr)) }))
+            .sort((a, b) => a.submittedAt - b.submittedAt);
+        const sessions = Object.keys(verificationSessions);
+        const appeals = Object.values(verifiedUsers).filter(record => record.appeal?.status === "pending");
+
+        let summary = `📋 قائمة الانتظار: ${waiting.length} طلب بانتظار المراجعة`;
+        if (sessions.length > 0) summary += `\n📝 ${sessions.length} مستخدم في منتصف الأسئلة`;
+        if (appeals.length > 0) summary += `\n⚖️ ${appeals.length} استئناف بانتظار المراجعة`;
+        if (waiting.length > PENDING_LIST_LIMIT) summary += `\n(يتم عرض أقدم ${PENDING_LIST_LIMIT} طلبًا)`;
+        await bot.sendMessage(chatId, summary);
+
+        for (const { userId: targetUserId, submittedAt } of waiting.slice(0, PENDING_LIST_LIMIT)) {
+            const record = verifiedUsers[targetUserId];
+            const pendingRequest = pendingApprovals[targetUserId];
+            const transcriptText = pendingRequest.transcript
+                .map((entry, i) => `📝 **السؤال ${i + 1}:** ${escapeMarkdown(entry.question)}\n✍️ **الإجابة:** ${escapeMarkdown(entry.answer)}`)
+                .join("\n\n");
+            const text = `⏳ **طلب معلق منذ ${formatWaitTime(now - submittedAt, DEFAULT_LANGUAGE)}**
+👤 المستخدم: ${record ? escapeMarkdown(formatUserLabel(record)) : "—"} (ID: ${targetUserId})
+
+${transcriptText}`;
+            try {
+                const sent = await bot.sendMessage(chatId, text, { parse_mode: "Markdown", reply_markup: { inline_keyboard: buildReviewKeyboard(targetUserId) } });
+                // Track this copy too, so it is updated when anyone decides the request
+                pendingRequest.reviewMessages = [...(pendingRequest.reviewMessages || []), { chatId, messageId: sent.message_id }];
+                saveState();
+            } catch (error) {
+                console.error(`❌ Error listing pending request of user ${targetUserId}:`, error.response?.body || error.message);
+            }
+        }
+    }
+
+    // 📝 Rejection Reasons, Cooldowns & Appeals
+    // The reject button first asks for a reason: a preset from verification_questions.json (rejection_reasons),
+    // a reason typed by the reviewer, or none. Each rejection sets a reapplication cooldown that doubles with
+    // every further rejection, and the user can appeal each rejection once with /appeal.
+    const REJECTION_REASON_TIMEOUT_MINUTES = 10; // How long a "type the reason" prompt waits for the reviewer
+    const awaitingRejectionReasons = new Map(); // "<chatId>:<reviewerId>" -> { targetUserId, message, at }
+
+    function getRejectionCooldownHours(rejectionCount) {
+        if (!REJECTION_COOLDOWN_HOURS) return 0;
+        return Math.min(REJECTION_COOLDOWN_HOURS * 2 ** (rejectionCount - 1), REJECTION_COOLDOWN_MAX_HOURS);
+    }
+
+    function getRejectionReasons() {
+        return verificationQuestions.rejection_reasons || [];
+    }
+
+    function buildRejectionReasonKeyboard(userId) {
+        const keyboard = getRejectionReasons().map((reason, i) => [{ text: `📝 ${localize(reason.text, DEFAULT_LANGUAGE)}`, callback_data: `rejreason_${userId}_${i}` }]);
+        keyboard.push([{ text: "✍️ كتابة سبب آخر", callback_data: `rejcustom_${userId}` }]);
+        keyboard.push([{ text: "🚫 رفض بدون سبب", callback_data: `rejnone_${userId}` }]);
+        keyboard.push([{ text: "⬅️ رجوع", callback_data: `rejback_${userId}` }]);
+        return keyboard;
+    }
+
+    // Claims the pending request and rejects it; `message` is the review message the decision started from
+    async function finalizeRejection(targetUserIdNum, actor, reason, message, query = null) {
+        const pendingRequest = pendingApprovals[targetUserIdNum];
+        if (!pendingRequest) return false;
+        delete pendingApprovals[targetUserIdNum];
+        saveState();
+
+        const resultText = await rejectUserVerification(targetUserIdNum, query, actor, reason);
+        const reviewMessages = pendingRequest.reviewMessages || [{ chatId: message.chat.id, messageId: message.message_id }];
+        await updateReviewMessageCopies(reviewMessages, appendReviewOutcome(buildPendingReviewText(targetUserIdNum, pendingRequest), "النتيجة", resultText, actor));
+        return true;
+    }
+
+    // Handles reject_ / rejreason_ / rejcustom_ / rejnone_ / rejback_ buttons on a review message
+    async function handleRejectionCallback(query) {
+        const [action, targetUserIdStr, reasonIndex] = query.data.split("_");
+        const targetUserIdNum = Number(targetUserIdStr);
+        const message = query.message;
+
+        if (!pendingApprovals[targetUserIdNum]) {
+            await bot.answerCallbackQuery(query.id, { text: "⚠️ الطلب تمت معالجته بالفعل أو انتهت صلاحيته." });
+            return;
+        }
+
+        const setKeyboard = keyboard => bot.editMessageReplyMarkup({ inline_keyboard: keyboard }, { chat_id: message.chat.id, message_id: message.message_id })
+            .catch(error => console.warn(`⚠️ Could not update review buttons for user ${targetUserIdNum}:`, error.message));
+
+        if (action === "reject") {
+            await bot.answerCallbackQuery(query.id, { text: "📝 اختر سبب الرفض" });
+            await setKeyboard(buildRejectionReasonKeyboard(targetUserIdNum));
+        } else if (action === "rejback") {
+            await bot.answerCallbackQuery(query.id);
+            await setKeyboard(buildReviewKeyboard(targetUserIdNum));
+        } else if (action === "rejcustom") {
+            awaitingRejectionReasons.set(`${message.chat.id}:${query.from.id}`, { targetUserId: targetUserIdNum, message, at: Date.now() });
+            await bot.answerCallbackQuery(query.id);
+            await bot.sendMessage(message.chat.id, `✍️ ${query.from.first_name}، اكتب سبب رفض المستخدم ${targetUserIdNum} في رسالتك التالية (أو /cancel للإلغاء).`, { reply_to_message_id: message.message_id });
+        } else {
+            const reason = action === "rejreason" ? getRejectionReasons()[Number(reasonIndex)]?.text || null : null;
+            await finalizeRejection(targetUserIdNum, query.from, reason, message, query);
+        }
+    }
+
+    // Consumes a reviewer's typed rejection reason; returns true if the message was one
+    async function handleTypedRejectionReason(msg) {
+        const key = `${msg.chat.id}:${msg.from.id}`;
+        const awaiting = awaitingRejectionReasons.get(key);
+        const text = msg.text.trim();
+        if (!awaiting || (text.startsWith("/") && text.toLowerCase() !== "/cancel")) return false; // Other commands still work meanwhile
+        awaitingRejectionReasons.delete(key);
+        if (Date.now() - awaiting.at > REJECTION_REASON_TIMEOUT_MINUTES * 60 * 1000) return false;
+
+        if (text.toLowerCase() === "/cancel") {
+            bot.sendMessage(msg.chat.id, "↩️ تم إلغاء كتابة السبب. الطلب ما زال بانتظار المراجعة.", { reply_to_message_id: msg.message_id });
+            return true;
+        }
+        if (!(await finalizeRejection(awaiting.targetUserId, msg.from, text, awaiting.message))) {
+            bot.sendMessage(msg.chat.id, "⚠️ الطلب تمت معالجته بالفعل أو انتهت صلاحيته.", { reply_to_message_id: msg.message_id });
+        }
+        return true;
+    }
+
+    // /appeal command handler — one appeal per rejection, sent to the reviewers
+    async function handleAppealCommand(msg, args) {
+        const userId = msg.from.id;
+        const record = verifiedUsers[userId];
+        if (!record || record.verified || !record.lastRejectedAt || verificationSessions[userId] || pendingApprovals[userId]) {
+            bot.sendMessage(userId, userText(userId, "appeal.notRejected"));
+            return;
+        }
+        if (record.appeal?.rejectedAt === record.lastRejectedAt) {
+            bot.sendMessage(userId, userText(userId, "appeal.alreadyUsed"));
+            return;
+        }
+        const appealText = args.join(" ").trim();
+        if (!appealText) {
+            bot.sendMessage(userId, userText(userId, "appeal.usage"));
+            return;
+        }
+
+        getUserRecord(msg.from); // Refresh the stored name
+        const lastSubmission = record.history[record.history.length - 1];
+        const answers = lastSubmission ? lastSubmission.transcript.map((entry, i) => `${i + 1}. ${entry.question}\n   ✍️ ${entry.answer}`).join("\n") : "—";
+        const username = msg.from.username ? `@${msg.from.username}` : "(لا يوجد)";
+        const appealMessage = `⚖️ استئناف على قرار رفض
+👤 المستخدم: ${msg.from.first_name} (${username}) (ID: ${userId})
+🚫 مرات الرفض: ${record.rejectionCount} (آخرها: ${formatTimestamp(record.lastRejectedAt)})
+📝 سبب الرفض: ${localize(record.lastRejectionReason, DEFAULT_LANGUAGE) || "—"}
+
+💬 نص الاستئناف:
+${appealText}
+
+🗂️ الإجابات المرفوضة:
+${answers}`;
+        const keyboard = [[
+            { text: "✅ قبول الاستئناف", callback_data: `appealok_${userId}` },
+            { text: "❌ رفض الاستئناف", callback_data: `appealno_${userId}` }
+        ]];
+
+        const reviewMessages = [];
+        for (const chatId of getReviewTargets()) {
+            try {
+                const sent = await bot.sendMessage(chatId, appealMessage, { reply_markup: { inline_keyboard: keyboard } });
+                reviewMessages.push({ chatId, messageId: sent.message_id });
+            } catch (error) {
+                console.error(`❌ Error sending appeal of user ${userId} to reviewer chat ${chatId}:`, error.response?.body || error.message);
+            }
+        }
+        if (reviewMessages.length === 0) {
+            bot.sendMessage(userId, userText(userId, "appeal.failed"));
+            return;
+        }
+
+        record.appeal = { rejectedAt: record.lastRejectedAt, submittedAt: new Date().toISOString(), text: appealText, status: "pending", decidedBy: null, reviewMessages };
+        saveState();
+        auditLog.record("verification.appeal", { actor: describeActor(msg.from), target: { userId }, result: "submitted", details: { text: appealText } });
+        console.log(`⚖️ User ${userId} appealed their rejection.`);
+        bot.sendMessage(userId, userText(userId, "appeal.submitted"));
+    }
+
+    // Handles appealok_ / appealno_ buttons
+    async function handleAppealCallback(query) {
+        const [action, targetUserIdStr] = query.data.split("_");
+        const targetUserIdNum = Number(targetUserIdStr);
+        const appeal = verifiedUsers[targetUserIdNum]?.appeal;
+        if (!appeal || appeal.status !== "pending") {
+            await bot.answerCallbackQuery(query.id, { text: "⚠️ تمت معالجة هذا الاستئناف بالفعل." });
+            return;
+        }
+        // Claim the appeal before acting so a second reviewer's click can't act on it twice
+        appeal.status = action === "appealok" ? "accepted" : "denied";
+        appeal.decidedBy = describeActor(query.from);
+        saveState();
+
+        let resultText;
+        if (action === "appealok") {
+            resultText = await approveUserVerification(targetUserIdNum, query);
+        } else {
+            await bot.answerCallbackQuery(query.id, { text: "❌ تم رفض الاستئناف." });
+            resultText = "❌ رُفض الاستئناف وبقي قرار الرفض";
+            try {
+                await bot.sendMessage(targetUserIdNum, userText(targetUserIdNum, "appeal.denied"));
+            } catch (error) {
+                console.error(`❌ خطأ في إرسال نتيجة الاستئناف للمستخدم ${targetUserIdNum}:`, error.response?.body || error.message);
+                resultText += " (خطأ بإرسال رسالة للمستخدم)";
+            }
+        }
+        auditLog.record(`verification.appeal.${appeal.status === "accepted" ? "accept" : "deny"}`, { actor: describeActor(query.from), target: { userId: targetUserIdNum }, result: resultText });
+        await updateReviewMessageCopies(appeal.reviewMessages, `${query.message.text}\n\n---\nالنتيجة: ${resultText} (بواسطة ${query.from.first_name})`, null);
+    }
+
+    // 📣 Broadcasts & Scheduled Announcements
+    // /broadcast (private chat): the admin sends or forwards the message, sees a preview, picks the audience, then sends
+    // it now or schedules it (once, or recurring with a cron expression in UTC, see schedule.js). Messages are delivered
+    // with copyMessage from the admin's chat, so any content works — a scheduled announcement therefore needs that
+    // original message to stay in the chat. Delivery goes through the per-chat send queue (see resilience.js), which
+    // keeps a broadcast to every verified user within Telegram's rate limits.
+    const BROADCAST_TARGETS = {
+        verified: "👥 جميع الأعضاء الموثقين",
+        group: "💬 المجموعة الخاصة",
+        channel: "📢 القناة العامة"
+    };
+    const BROADCAST_PROGRESS_EVERY = 25; // Recipients between two progress updates
+    const BROADCAST_DRAFT_TIMEOUT_MINUTES = 30;
+    const broadcastDrafts = new Map(); // adminId -> { step: "message" | "target" | "confirm" | "schedule", source, target, controlMessageId, at }
+    const runningScheduledBroadcasts = new Set(); // IDs being sent right now (a run can outlast the timer interval)
+
+    function getAvailableBroadcastTargets() {
+        return Object.keys(BROADCAST_TARGETS).filter(target => target !== "group" || PRIVATE_GROUP_ID);
+    }
+
+    function getBroadcastRecipients(target) {
+        if (target === "verified") return Object.values(verifiedUsers).filter(record => record.verified).map(record => record.userId);
+        if (target === "group") return PRIVATE_GROUP_ID ? [PRIVATE_GROUP_ID] : [];
+        return [PUBLIC_CHANNEL_ID];
+    }
+
+    // Sends the broadcast to every recipient; `onProgress(result, total)` is called every BROADCAST_PROGRESS_EVERY recipients.
+    // Returns { total, sent, blocked, failed: [{ chatId, error }] } — "blocked" are 403s (bot blocked or account deleted).
+    async function sendBroadcast(source, target, onProgress = () => {}) {
+        const recipients = getBroadcastRecipients(target);
+        const result = { total: recipients.length, sent: 0, blocked: 0, failed: [] };
+        for (const [i, chatId] of recipients.entries()) {
+            try {
+                await bot.copyMessage(chatId, source.chatId, source.messageId);
+                result.sent++;
+            } catch (error) {
+                if (error.response?.statusCode === 403) {
+                    result.blocked++;
+                } else {
+                    result.failed.push({ chatId, error: error.response?.body?.description || error.message });
+                }
+            }
+            if ((i + 1) % BROADCAST_PROGRESS_EVERY === 0 && i + 1 < recipients.length) await onProgress(result);
+        }
+        return result;
+    }
+
+    function formatBroadcastResult(result, finished = true) {
+        let text = `${finished ? "✅ اكتمل البث" : "⏳ جارٍ البث..."}: ${result.sent + result.blocked + result.failed.length}/${result.total}\n📤 تم الإرسال: ${result.sent}`;
+        if (result.blocked > 0) text += `\n🚫 حظروا البوت أو حذفوا حساباتهم: ${result.blocked}`;
+        if (result.failed.length > 0) {
+            text += `\n❌ فشل: ${result.failed.length}`;
+            if (finished) text += `\n${result.failed.slice(0, 10).map(failure => `• ${failure.chatId}: ${failure.error}`).join("\n")}`;
+        }
+        return text;
+    }
+
+    // Runs a broadcast, editing `progressMessage` ({ chatId, messageId }) with the progress and final report
+    async function runBroadcast(source, target, actor, progressMessage, scheduleId = null) {
+        const editProgress = text => bot.editMessageText(text, { chat_id: progressMessage.chatId, message_id: progressMessage.messageId })
+            .catch(error => console.warn("⚠️ Could not update broadcast progress:", error.message));
+        console.log(`📣 Broadcast to ${target} started${scheduleId ? ` (scheduled ${scheduleId})` : ""}.`);
+        const result = await sendBroadcast(source, target, partial => editProgress(formatBroadcastResult(partial, false)));
+        await editProgress(`${BROADCAST_TARGETS[target]}\n${formatBroadcastResult(result)}`);
+        auditLog.record("broadcast.send", {
+            actor,
+            target: { audience: target, ...(scheduleId ? { scheduleId } : {}) },
+            result: result.failed.length > 0 ? "partial" : "ok",
+            details: { total: result.total, sent: result.sent, blocked: result.blocked, failed: result.failed.length }
+        });
+        console.log(`📣 Broadcast to ${target} finished: ${result.sent}/${result.total} sent, ${result.blocked} blocked, ${result.failed.length} failed.`);
+        return result;
+    }
+
+    // Schedule input: "YYYY-MM-DD HH:MM" (UTC), a delay like "30m" / "2h" / "1d", or "cron <expression>"
+    function parseBroadcastSchedule(text) {
+        const cronMatch = /^cron\s+(.+)$/i.exec(text);
+        if (cronMatch) {
+            const nextRun = getNextCronTime(cronMatch[1]); // Throws on an invalid expression
+            if (!nextRun) throw new Error("This expression never matches");
+            return { schedule: { type: "cron", expression: cronMatch[1].trim() }, nextRunAt: nextRun.toISOString() };
+        }
+        const delayMinutes = parseDurationMinutes(text);
+        const at = delayMinutes ? new Date(Date.now() + delayMinutes * 60000)
+            : /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}$/.test(text) ? new Date(`${text.replace(" ", "T")}:00Z`) : null;
+        if (!at || isNaN(at)) throw new Error("Unrecognized time");
+        if (at <= new Date()) throw new Error("This time is in the past");
+        return { schedule: { type: "once", at: at.toISOString() }, nextRunAt: at.toISOString() };
+    }
+
+    function describeBroadcastSchedule(schedule) {
+        return schedule.type === "cron" ? `🔁 متكرر (cron: ${schedule.expression} UTC)` : "🕒 مرة واحدة";
+    }
+
+    // /broadcast command handler (admin-only, private chat) — starts a new draft
+    async function handleBroadcastCommand(msg) {
+        const userId = msg.from.id;
+        broadcastDrafts.set(userId, { step: "message", at: Date.now() });
+        bot.sendMessage(userId, "📝 أرسل الآن الرسالة المراد بثها (نص أو وسائط)، أو أعد توجيهها من محادثة أخرى.\nللإلغاء أرسل /cancel");
+    }
+
+    // Messages from an admin with an open draft: the broadcast content, or the schedule time. Returns true when consumed.
+    async function handleBroadcastDraftMessage(msg) {
+        if (msg.chat.type !== "private" || !msg.from) return false;
+        const userId = msg.from.id;
+        const draft = broadcastDrafts.get(userId);
+        if (!draft || !["message", "schedule"].includes(draft.step)) return false;
+        const text = (msg.text || "").trim();
+        if (text.startsWith("/") && text.toLowerCase() !== "/cancel") return false; // Other commands still work meanwhile
+        if (Date.now() - draft.at > BROADCAST_DRAFT_TIMEOUT_MINUTES * 60000) {
+            broadcastDrafts.delete(userId);
+            return false;
+        }
+        if (text.toLowerCase() === "/cancel") {
+            broadcastDrafts.delete(userId);
+            bot.sendMessage(userId, "↩️ تم إلغاء البث.");
+            return true;
+        }
+
+        if (draft.step === "message") {
+            draft.source = { chatId: msg.chat.id, messageId: msg.message_id };
+            draft.preview = (msg.text || msg.caption || "(وسائط)").slice(0, 60);
+            draft.step = "target";
+            draft.at = Date.now();
+            await bot.sendMessage(userId, "👀 معاينة الرسالة كما ستصل:");
+            await bot.copyMessage(userId, msg.chat.id, msg.message_id);
+            const buttons = getAvailableBroadcastTargets().map(target => [{ text: BROADCAST_TARGETS[target], callback_data: `bctarget_${target}` }]);
+            const controlMessage = await bot.sendMessage(userId, "🎯 اختر الجمهور:", {
+                reply_markup: { inline_keyboard: [...buttons, [{ text: "❌ إلغاء", callback_data: "bccancel" }]] }
+            });
+            draft.controlMessageId = controlMessage.message_id;
+            return true;
+        }
+
+        // draft.step === "schedule"
+        let parsed;
+        try {
+            parsed = parseBroadcastSchedule(text);
+        } catch (error) {
+            bot.sendMessage(userId, `⚠️ وقت غير صالح (${error.message}).\n➡️ أرسل \`YYYY-MM-DD HH:MM\` (UTC) أو مدة مثل \`2h\` أو \`cron 0 9 * * 1\`، أو /cancel`, { parse_mode: "Markdown" });
+            return true;
+        }
+        const id = crypto.randomBytes(4).toString("hex");
+        scheduledBroadcasts[id] = {
+            source: draft.source,
+            target: draft.target,
+            preview: draft.preview,
+            schedule: parsed.schedule,
+            nextRunAt: parsed.nextRunAt,
+            createdBy: describeActor(msg.from),
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastResult: null
+        };
+        saveState();
+        broadcastDrafts.delete(userId);
+        auditLog.record("broadcast.schedule", { actor: describeActor(msg.from), target: { scheduleId: id, audience: draft.target }, details: { schedule: parsed.schedule } });
+        bot.sendMessage(userId, `✅ تمت جدولة البث ${id} إلى ${BROADCAST_TARGETS[draft.target]}\n${describeBroadcastSchedule(parsed.schedule)}\n⏰ الإرسال القادم: ${formatTimestamp(parsed.nextRunAt)} UTC\nℹ️ لا تحذف الرسالة الأصلية من هذه المحادثة. عرض المجدولة: /scheduled`);
+        return true;
+    }
+
+    // Draft buttons: bctarget_<target>, bcnow, bcschedule, bccancel
+    async function handleBroadcastCallback(query) {
+        const userId = query.from.id;
+        const draft = broadcastDrafts.get(userId);
+        const message = query.message;
+        const editControl = (text, inlineKeyboard = []) => bot.editMessageText(text, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: { inline_keyboard: inlineKeyboard }
+        });
+
+        if (!draft || draft.controlMessageId !== message.message_id) {
+            await bot.answerCallbackQuery(query.id, { text: "⚠️ انتهت صلاحية هذه المسودة. ابدأ من جديد بـ /broadcast" });
+            return;
+        }
+        await bot.answerCallbackQuery(query.id);
+
+        if (query.data === "bccancel") {
+            broadcastDrafts.delete(userId);
+            await editControl("↩️ تم إلغاء البث.");
+            return;
+        }
+        if (query.data.startsWith("bctarget_")) {
+            const target = query.data.slice("bctarget_".length);
+            if (!getAvailableBroadcastTargets().includes(target)) return;
+            draft.target = target;
+            draft.step = "confirm";
+            draft.at = Date.now();
+            const count = getBroadcastRecipients(target).length;
+            await editControl(`🎯 الجمهور: ${BROADCAST_TARGETS[target]}${target === "verified" ? ` (${count} مستخدم)` : ""}\nهل تريد الإرسال الآن أم الجدولة؟`, [
+                [{ text: "📤 إرسال الآن", callback_data: "bcnow" }, { text: "🕒 جدولة", callback_data: "bcschedule" }],
+                [{ text: "❌ إلغاء", callback_data: "bccancel" }]
+            ]);
+            return;
+        }
+        if (!draft.target) return;
+        if (query.data === "bcschedule") {
+            draft.step = "schedule";
+            draft.at = Date.now();
+            await editControl(`🎯 الجمهور: ${BROADCAST_TARGETS[draft.target]}\n🕒 أرسل وقت البث:\n• تاريخ ووقت (UTC): 2026-12-31 18:00\n• أو بعد مدة: 30m أو 2h أو 1d\n• أو بث متكرر: cron 0 9 * * 1 (كل اثنين 09:00 UTC)\nللإلغاء أرسل /cancel`);
+            return;
+        }
+        if (query.data === "bcnow") {
+            broadcastDrafts.delete(userId); // A second click can't send it twice
+            await editControl(`⏳ جارٍ البث إلى ${BROADCAST_TARGETS[draft.target]}...`);
+            await runBroadcast(draft.source, draft.target, describeActor(query.from), { chatId: message.chat.id, messageId: message.message_id });
+        }
+    }
+
+    // Runs due scheduled broadcasts (called every minute). One-off schedules are removed before sending and recurring ones
+    // move on to their next time first, so a crash mid-send never repeats a broadcast; runs missed while the bot was down
+    // are sent once on the next start.
+    async function runScheduledBroadcasts() {
+        const now = new Date();
+        for (const [id, scheduled] of Object.entries(scheduledBroadcasts)) {
+            if (new Date(scheduled.nextRunAt) > now || runningScheduledBroadcasts.has(id)) continue;
+
+            if (scheduled.schedule.type === "once") {
+                delete scheduledBroadcasts[id];
+            } else {
+                try {
+                    scheduled.nextRunAt = getNextCronTime(scheduled.schedule.expression, now)?.toISOString() || null;
+                } catch (error) {
+                    // Saved before parseCron refused it (e.g. a day that never occurs); this is its last run
+                    console.error(`❌ Scheduled broadcast ${id} has an invalid cron expression "${scheduled.schedule.expression}": ${error.message}`);
+                    scheduled.nextRunAt = null;
+                }
+                scheduled.lastRunAt = now.toISOString();
+                if (!scheduled.nextRunAt) delete scheduledBroadcasts[id];
+            }
+            saveState();
+
+            runningScheduledBroadcasts.add(id);
+            try {
+                const creatorId = scheduled.createdBy?.id || ADMIN_ID;
+                const progressMessage = await bot.sendMessage(creatorId, `⏳ بدأ البث المجدول ${id} إلى ${BROADCAST_TARGETS[scheduled.target]}...`);
+                const result = await runBroadcast(scheduled.source, scheduled.target, "system", { chatId: creatorId, messageId: progressMessage.message_id }, id);
+                if (scheduledBroadcasts[id]) {
+                    scheduledBroadcasts[id].lastResult = { sent: result.sent, blocked: result.blocked, failed: result.failed.length, total: result.total };
+                    saveState();
+                }
+            } catch (error) {
+                console.error(`❌ Scheduled broadcast ${id} failed:`, error.response?.body || error.message);
+                auditLog.record("broadcast.send", { actor: "system", target: { audience: scheduled.target, scheduleId: id }, result: `failed: ${error.message}` });
+            } finally {
+                runningScheduledBroadcasts.delete(id);
+            }
+        }
+    }
+
+    // /scheduled command handler (admin-only) — lists scheduled broadcasts; `/scheduled cancel <id>` removes one
+    async function handleScheduledCommand(msg, args) {
+        const userId = msg.from.id;
+        if ((args[0] || "").toLowerCase() === "cancel") {
+            const id = args[1];
+            if (!id || !scheduledBroadcasts[id]) {
+                bot.sendMessage(userId, "⚠️ لم يتم العثور على بث مجدول بهذا المعرف. راجع /scheduled");
+                return;
+            }
+            const { target, schedule } = scheduledBroadcasts[id];
+            delete scheduledBroadcasts[id];
+            saveState();
+            auditLog.record("broadcast.cancel", { actor: describeActor(msg.from), target: { scheduleId: id, audience: target }, details: { schedule } });
+            bot.sendMessage(userId, `🗑️ تم إلغاء البث المجدول ${id}.`);
+            return;
+        }
+
+        const entries = Object.entries(scheduledBroadcasts).sort(([, a], [, b]) => (a.nextRunAt || "").localeCompare(b.nextRunAt || ""));
+        if (entries.length === 0) {
+            bot.sendMessage(userId, "📭 لا يوجد بث مجدول. ابدأ واحدًا بـ /broadcast");
+            return;
+        }
+        const lines = entries.map(([id, scheduled]) => {
+            let line = `• ${id} — ${BROADCAST_TARGETS[scheduled.target]}: «${scheduled.preview}»\n  ${describeBroadcastSchedule(scheduled.schedule)} | ⏰ ${formatTimestamp(scheduled.nextRunAt)} UTC\n  👤 ${scheduled.createdBy?.name || "—"}`;
+            if (scheduled.lastResult) line += ` | آخر إرسال: ${scheduled.lastResult.sent}/${scheduled.lastResult.total}`;
+            return line;
+        });
+        bot.sendMessage(userId, `🗓️ البث المجدول (${entries.length}):\n${lines.join("\n")}\n\n➡️ للإلغاء: /scheduled cancel [المعرف]`);
+    }
+
+    // 🔗 Personal Private Group Invite Links
+    async function isPrivateGroupMember(userId) {
+        try {
+            const member = await bot.getChatMember(PRIVATE_GROUP_ID, userId);
+            return ["creator", "administrator", "member"].includes(member.status);
+        } catch (error) {
+            return false; // Unknown to the group (or the bot can't see members) — treat as not joined
+        }
+    }
+
+    // Creates a single-use, expiring invite link for the user (revoking any previous one) and stores it on their record
+    async function createPersonalInviteLink(targetUserIdNum) {
+        const record = getUserRecord(targetUserIdNum);
+        await revokePersonalInviteLink(record);
+
+        const expireDate = Math.floor(Date.now() / 1000) + INVITE_LINK_EXPIRY_HOURS * 3600;
+        const link = await bot.createChatInviteLink(PRIVATE_GROUP_ID, {
+            name: `verified-${targetUserIdNum}`, // Shows up in the group's invite link list
+            member_limit: 1,
+            expire_date: expireDate
+        });
+
+        record.inviteLink = {
+            url: link.invite_link,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(expireDate * 1000).toISOString(),
+            revokedAt: null
+        };
+        saveState();
+        return link.invite_link;
+    }
+
+    // Revokes the user's active personal link, if any; returns true when there was one to revoke
+    async function revokePersonalInviteLink(record) {
+        if (!record.inviteLink || record.inviteLink.revokedAt) return false;
+        try {
+            await bot.revokeChatInviteLink(PRIVATE_GROUP_ID, record.inviteLink.url);
+        } catch (error) {
+            // Usually the link has already expired or was used; it is unusable either way
+            console.warn(`⚠️ Could not revoke invite link for user ${record.userId}:`, error.response?.body?.description || error.message);
+        }
+        record.inviteLink.revokedAt = new Date().toISOString();
+        saveState();
+        return true;
+    }
+
+    // 🚪 Join requests to the private group: only verified users get in
+    bot.on("chat_join_request", async (request) => {
+        const userId = request.from.id;
+        const chatId = request.chat.id;
+        if (!PRIVATE_GROUP_ID || String(chatId) !== String(PRIVATE_GROUP_ID)) return;
+
+        try {
+            if (isUserVerified(userId)) {
+                await bot.approveChatJoinRequest(chatId, userId);
+                console.log(`🚪 Approved join request from verified user ${userId} to private group ${chatId}.`);
+            } else {
+                await bot.declineChatJoinRequest(chatId, userId);
+                console.log(`🚪 Declined join request from unverified user ${userId} to private group ${chatId}.`);
+                // user_chat_id lets the bot DM the requester even if they never started it
+                const language = getUserLanguage(userId) !== DEFAULT_LANGUAGE ? getUserLanguage(userId) : (languageFromTelegramCode(request.from.language_code) || DEFAULT_LANGUAGE);
+                await bot.sendMessage(request.user_chat_id || userId, t(language, "verification.joinDeclined"))
+                    .catch(error => console.warn(`⚠️ Could not notify declined user ${userId}:`, error.message));
+            }
+        } catch (error) {
+            console.error(`❌ Error handling join request from user ${userId} to chat ${chatId}:`, error.response?.body || error.message);
+        }
+    });
+
+    // 🧪 AI Pre-Screening of Verification Answers
+    const SCREENING_RECOMMENDATIONS = ["approve", "reject", "review"];
+    const SCREENING_RECOMMENDATION_LABELS = { approve: "✅ قبول", reject: "❌ رفض", review: "🔍 مراجعة يدوية" };
+
+    function getAiScreeningConfig() {
+        const config = verificationQuestions.ai_screening || {};
+        // 0 is a valid threshold, so only missing, blank or non-numeric settings fall back to the default
+        const numberSetting = (value, fallback) => {
+            if (typeof value === "string" && value.trim() === "") return fallback;
+            const number = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+            return Number.isFinite(number) ? number : fallback;
+        };
+        return {
+            enabled: Boolean(config.enabled),
+            rubric: config.rubric || "الإجابة يجب أن تكون جادة وذات صلة بالسؤال.",
+            autoApprove: Boolean(config.auto_approve),
+            autoApproveMinScore: numberSetting(config.auto_approve_min_score, 85),
+            autoReject: Boolean(config.auto_reject),
+            autoRejectMaxScore: numberSetting(config.auto_reject_max_score, 10),
+            minAnswerLength: numberSetting(config.min_answer_length, 3)
+        };
+    }
+
+    // Returns { score, rationale, recommendation } or null (screening disabled, AI unavailable or unparsable response).
+    // Empty/near-empty free-text answers are rejected by rule without an AI call.
+    async function screenVerificationAnswers(transcript) {
+        const config = getAiScreeningConfig();
+        if (!config.enabled) return null;
+
+        const hasEmptyAnswer = transcript.some(entry =>
+            entry.type === "text" && entry.answer.replace(/[^\p{L}\p{N}]/gu, "").length < config.minAnswerLength
+        );
+        if (hasEmptyAnswer) {
+            return { score: 0, rationale: "إجابة فارغة أو قصيرة جدًا.", recommendation: "reject" };
+        }
+
+        if (!llmProvider) return null;
+
+        const transcriptText = transcript.map((entry, i) => `Q${i + 1}: ${entry.question}\nA${i + 1}: ${entry.answer}`).join("\n\n");
+        metrics.increment("ai_calls_total");
+        try {
+            const response = await createChatCompletion({
+                messages: [
+                    {
+                        role: "system",
+                        content: `You screen verification answers submitted to join a Telegram community. Score the answers from 0 (spam/nonsense) to 100 (clearly genuine and correct) against this rubric:\n${config.rubric}\n\nRespond with JSON only, no other text: {"score": <0-100>, "rationale": "<one short sentence in Arabic>", "recommendation": "approve" | "reject" | "review"}`
+                    },
+                    { role: "user", content: transcriptText }
+                ],
+                max_tokens: 200,
+                temperature: 0,
+            });
+
+            const content = response.content || "";
+            const parsed = JSON.parse(content.match(/\{[\s\S]*\}/)?.[0] || "null");
+            if (!parsed || isNaN(Number(parsed.score))) {
+                console.warn(`⚠️ AI screening returned an unparsable response: ${content}`);
+                return null;
+            }
+            return {
+                score: Math.max(0, Math.min(100, Math.round(Number(parsed.score)))),
+                rationale: String(parsed.rationale || "").trim() || "(بدون تعليل)",
+                recommendation: SCREENING_RECOMMENDATIONS.includes(parsed.recommendation) ? parsed.recommendation : "review"
+            };
+        } catch (error) {
+            console.error("❌ خطأ من مزود الذكاء الاصطناعي عند تقييم إجابات التحقق:", error.message);
+            auditLog.record("ai.error", { result: error.message, details: { context: "screening" } });
+            metrics.increment("ai_errors_total");
+            return null;
+        }
+    }
+
+    // Returns "approve" / "reject" when the screening is confident enough to act without the admin, otherwise null
+    function decideAutomatically(screening) {
+        const config = getAiScreeningConfig();
+        if (config.autoApprove && screening.recommendation === "approve" && screening.score >= config.autoApproveMinScore) return "approve";
+        if (config.autoReject && screening.recommendation === "reject" && screening.score <= config.autoRejectMaxScore) return "reject";
+        return null;
+    }
+
+    async function applyAutomaticDecision(user, transcript, screening, decision) {
+        const userId = user.id;
+        delete pendingApprovals[userId];
+
+        const resultText = decision === "approve"
+            ? await approveUserVerification(userId, null)
+            : await rejectUserVerification(userId, null);
+
+        aiScreeningLog.push({
+            userId,
+            username: user.username || null,
+            firstName: user.first_name,
+            decision,
+            score: screening.score,
+            rationale: screening.rationale,
+            transcript,
+            resultText,
+            decidedAt: new Date().toISOString(),
+            reversedBy: null,
+            reversedAt: null
+        });
+        saveState();
+        console.log(`⚡ AI screening auto-${decision}d user ${userId} (score: ${screening.score}).`);
+
+        // The decision already stands, so a failed admin notification must not bounce the user back to /start
+        try {
+            const logEntry = aiScreeningLog[aiScreeningLog.length - 1];
+            logEntry.reviewMessages = await sendVerificationAnswerToAdmin(user, transcript, screening, { decision, resultText });
+            saveState();
+        } catch (error) {
+            console.error(`❌ Could not notify admin about automatic decision for user ${userId}:`, error.message);
+        }
+    }
+
+    // Reverses the latest automatic decision for a user: an auto-approval is revoked, an auto-rejection becomes an approval
+    async function handleUndoAutomaticDecision(query) {
+        const targetUserIdNum = Number(query.data.split("_")[1]);
+        const message = query.message;
+        const entry = [...aiScreeningLog].reverse().find(e => e.userId === targetUserIdNum);
+
+        if (!entry || entry.reversedAt) {
+            await bot.answerCallbackQuery(query.id, { text: "⚠️ لا يوجد قرار تلقائي قابل للتراجع لهذا المستخدم." });
+            return;
+        }
+
+        // Claim the entry *before* acting so a double click can't reverse it twice
+        entry.reversedBy = query.from.id;
+        entry.reversedAt = new Date().toISOString();
+        saveState();
+
+        let resultText;
+        if (entry.decision === "approve") {
+            resultText = await revokeUserVerification(targetUserIdNum, query.from);
+            await bot.answerCallbackQuery(query.id, { text: "↩️ تم إلغاء التوثيق." });
+        } else {
+            // The user may have reapplied since the automatic rejection
+            delete verificationSessions[targetUserIdNum];
+            delete pendingApprovals[targetUserIdNum];
+            resultText = await approveUserVerification(targetUserIdNum, query);
+        }
+        console.log(`↩️ Automatic ${entry.decision} for user ${targetUserIdNum} reversed by admin ${query.from.id}`);
+
+        const reviewMessages = entry.reviewMessages || [{ chatId: message.chat.id, messageId: message.message_id }];
+        // An automatic decision always matches the screening's recommendation
+        const reviewText = buildVerificationReviewText(
+            { id: entry.userId, first_name: entry.firstName, username: entry.username },
+            entry.transcript,
+            { score: entry.score, rationale: entry.rationale, recommendation: entry.decision },
+            entry.resultText ? { decision: entry.decision, resultText: entry.resultText } : null
+        );
+        await updateReviewMessageCopies(reviewMessages, appendReviewOutcome(reviewText, "التراجع", resultText, query.from));
+    }
+
+
+    // 🎯 AI Trigger Policy (groups)
+    // Each group chat has a trigger mode (set with /aimode, falling back to AI_TRIGGER_MODE):
+    //   reply   — only replies to one of the bot's messages
+    //   mention — messages that mention @BOT_USERNAME
+    //   prefix  — messages starting with the chat's keyword (AI_TRIGGER_PREFIX by default)
+    //   off     — never
+    // On top of that, the deny list always wins and a non-empty allow list limits the AI to the listed chats/topics.
+    // List entries are "<chatId>" (whole chat) or "<chatId>:<topicId>" (one forum topic).
+    const AI_TRIGGER_MODES = ["reply", "mention", "prefix", "off"];
+    const AI_TRIGGER_MODE_LABELS = { reply: "↩️ الرد على البوت", mention: "📣 الإشارة إلى البوت", prefix: "🔑 كلمة مفتاحية في بداية الرسالة", off: "⛔ معطل" };
+
+    function getChatTriggerPolicy(chatId) {
+        const policy = aiTriggers.chats[chatId] || {};
+        return {
+            mode: policy.mode || (AI_TRIGGER_MODES.includes(AI_TRIGGER_MODE) ? AI_TRIGGER_MODE : "reply"),
+            prefix: policy.prefix || AI_TRIGGER_PREFIX
+        };
+    }
+
+    // The message `msg` actually replies to, or null. In forum topics Telegram sets reply_to_message to the topic's
+    // creation message on every post that isn't a reply, so that one doesn't count.
+    function getRepliedMessage(msg) {
+        const repliedTo = msg.reply_to_message;
+        if (!repliedTo || repliedTo.forum_topic_created || (msg.is_topic_message && repliedTo.message_id === msg.message_thread_id)) return null;
+        return repliedTo;
+    }
+
+    // Allow/deny list keys matching this message: the chat itself and, in forum topics, the topic
+    function getTriggerListKeys(msg) {
+        const keys = [String(msg.chat.id)];
+        if (msg.is_topic_message && msg.message_thread_id) keys.push(`${msg.chat.id}:${msg.message_thread_id}`);
+        return keys;
+    }
+
+    function isAiAllowedInChat(msg) {
+        const keys = getTriggerListKeys(msg);
+        if (keys.some(key => aiTriggers.deny.includes(key))) return false;
+        return aiTriggers.allow.length === 0 || keys.some(key => aiTriggers.allow.includes(key));
+    }
+
+    // Returns the text to send to the AI (mention/prefix stripped) if the group message triggers it, otherwise null
+    function getAiTriggerPrompt(msg) {
+        if (!isAiAllowedInChat(msg)) return null;
+        const text = msg.text.trim();
+        const { mode, prefix } = getChatTriggerPolicy(msg.chat.id);
+
+        if (mode === "reply") {
+            return getRepliedMessage(msg)?.from?.username === BOT_USERNAME ? text : null;
+        }
+        if (mode === "mention") {
+            if (!BOT_USERNAME) return null;
+            const mention = new RegExp(`@${BOT_USERNAME}\\b`, "gi");
+            if (!mention.test(text)) return null;
+            return text.replace(mention, "").trim() || null;
+        }
+        if (mode === "prefix") {
+            if (!text.toLowerCase().startsWith(prefix.toLowerCase())) return null;
+            return text.slice(prefix.length).trim() || null;
+        }
+        return null; // "off"
+    }
+
+    // 🚦 AI Rate Limiting & Daily Quotas
+    // Each user has a token bucket (burst size + refill rate) and a daily AI token quota depending on their tier;
+    // each chat has its own bucket too so one busy group can't monopolize the AI.
+    const AI_RATE_LIMIT_TIERS = {
+        default: { bucketSize: 5, refillPerMinute: 2, dailyTokens: 20000 },
+        verified: { bucketSize: 10, refillPerMinute: 5, dailyTokens: 100000 },
+        staff: { bucketSize: 30, refillPerMinute: 20, dailyTokens: Infinity }
+    };
+    const AI_CHAT_RATE_LIMIT = { bucketSize: 20, refillPerMinute: 10 };
+    const userRateBuckets = {}; // Stores { userId: { tokens, updatedAt } }
+    const chatRateBuckets = {}; // Stores { chatId: { tokens, updatedAt } }
+    // Usage counters change on every AI request, so they are saved on a timer (and at shutdown) rather than each time
+    const AI_USAGE_FLUSH_INTERVAL_MS = 30 * 1000;
+    let aiUsageDirty = false;
+
+    function flushAiUsage() {
+        if (!aiUsageDirty) return;
+        aiUsageDirty = false;
+        saveState();
+    }
+
+    function getAiRateLimitTier(userId) {
+        if (getUserRole(userId)) return "staff";
+        if (isUserVerified(userId)) return "verified";
+        return "default";
+    }
+
+    // Refills the bucket for the elapsed time; returns ms until one request is available (0 if available now)
+    function refillRateBucket(buckets, key, limit) {
+        const now = Date.now();
+        const bucket = buckets[key] || { tokens: limit.bucketSize, updatedAt: now };
+        const refillPerMs = limit.refillPerMinute / 60000;
+        bucket.tokens = Math.min(limit.bucketSize, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        buckets[key] = bucket;
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+    }
+
+    // Daily usage is keyed by UTC date and starts over when the date changes; returns today's date
+    function resetAiUsageIfNewDay() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (aiUsage.date !== today) {
+            aiUsage.date = today;
+            aiUsage.users = {};
+            aiUsageDirty = true;
+        }
+        return today;
+    }
+
+    function recordAiUsage(userId, tokensUsed) {
+        resetAiUsageIfNewDay();
+        const entry = aiUsage.users[userId] || (aiUsage.users[userId] = { name: null, requests: 0, tokens: 0 });
+        entry.tokens += tokensUsed;
+        aiUsageDirty = true;
+    }
+
+    // Returns { allowed: true } or { allowed: false, retryAfterMs, reason: "user" | "chat" | "quota" }; consumes a request when allowed
+    function checkAiRateLimit(user, chatId) {
+        const tier = AI_RATE_LIMIT_TIERS[getAiRateLimitTier(user.id)];
+
+        resetAiUsageIfNewDay();
+        const usage = aiUsage.users[user.id];
+        if (usage && usage.tokens >= tier.dailyTokens) {
+            const nextMidnight = new Date();
+            nextMidnight.setUTCHours(24, 0, 0, 0);
+            return { allowed: false, retryAfterMs: nextMidnight - Date.now(), reason: "quota" };
+        }
+
+        const userWait = refillRateBucket(userRateBuckets, user.id, tier);
+        if (userWait > 0) return { allowed: false, retryAfterMs: userWait, reason: "user" };
+        // Staff aren't held back by a busy chat
+        const chatWait = getUserRole(user.id) ? 0 : refillRateBucket(chatRateBuckets, chatId, AI_CHAT_RATE_LIMIT);
+        if (chatWait > 0) return { allowed: false, retryAfterMs: chatWait, reason: "chat" };
+
+        userRateBuckets[user.id].tokens -= 1;
+        if (chatRateBuckets[chatId] && !getUserRole(user.id)) chatRateBuckets[chatId].tokens -= 1;
+
+        const entry = aiUsage.users[user.id] || (aiUsage.users[user.id] = { name: null, requests: 0, tokens: 0 });
+        entry.name = user.username ? `@${user.username}` : user.first_name;
+        entry.requests++;
+        aiUsageDirty = true;
+        return { allowed: true };
+    }
+
+    function formatWaitTime(ms, language) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return t(language, "time.seconds", { seconds });
+        const minutes = Math.ceil(seconds / 60);
+        if (minutes < 60) return t(language, "time.minutes", { minutes });
+        if (minutes % 60 === 0) return t(language, "time.hours", { hours: minutes / 60 });
+        return t(language, "time.hoursMinutes", { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    }
+
+    // Checks the limits for an AI-triggering message; tells the user when they can retry and returns false if limited
+    async function enforceAiRateLimit(msg) {
+        const result = checkAiRateLimit(msg.from, msg.chat.id);
+        if (result.allowed) return true;
+
+        const language = getUserLanguage(msg.from.id);
+        const notice = t(language, `rateLimit.${result.reason}`, { wait: formatWaitTime(result.retryAfterMs, language) });
+        console.log(`🚦 AI request from user ${msg.from.id} in chat ${msg.chat.id} rate-limited (${result.reason}).`);
+        try {
+            await bot.sendMessage(msg.chat.id, notice, { reply_to_message_id: msg.message_id });
+        } catch (error) {
+            console.error(`❌ Error sending rate limit notice in chat ${msg.chat.id}:`, error.response?.body || error.message);
+        }
+        return false;
+    }
+
+
+    // 💬 AI Conversation Memory
+    // Private chats keep a rolling per-user history; in groups the context is the chain of replies leading to the message.
+    const privateConversations = {}; // Stores { userId: [{ role, content, at }] }
+    const chainMessages = new Map(); // Stores "chatId:messageId" -> { role, content, replyTo, userId, at } for AI reply chains
+    const conversationResets = {}; // Stores { userId: timestamp of their last /reset }
+    const CHAIN_CACHE_LIMIT = 5000; // Oldest reply-chain entries are dropped beyond this
+
+    function getConversationTtlMinutes() {
+        return settings.conversationTtlMinutes ?? DEFAULT_CONVERSATION_TTL_MINUTES;
+    }
+
+    // Oldest timestamp still usable as context for this user (TTL and /reset)
+    function getConversationCutoff(userId) {
+        return Math.max(Date.now() - getConversationTtlMinutes() * 60 * 1000, conversationResets[userId] || 0);
+    }
+
+    function estimateTokens(text) {
+        return Math.ceil(text.length / 4); // Rough estimate, good enough for budgeting context
+    }
+
+    // Keeps the newest messages that fit within the turn and token limits (returned oldest first)
+    function trimConversationContext(messages) {
+        const kept = [];
+        let tokens = 0;
+        for (let i = messages.length - 1; i >= 0 && kept.length < CONVERSATION_MAX_TURNS; i--) {
+            tokens += estimateTokens(messages[i].content);
+            if (tokens > CONVERSATION_MAX_TOKENS) break;
+            kept.unshift({ role: messages[i].role, content: messages[i].content });
+        }
+        return kept;
+    }
+
+    function getPrivateConversation(userId) {
+        const cutoff = getConversationCutoff(userId);
+        const history = (privateConversations[userId] || []).filter(message => message.at >= cutoff);
+        privateConversations[userId] = history;
+        return trimConversationContext(history);
+    }
+
+    function appendPrivateConversation(userId, userInput, responseText) {
+        if (getConversationTtlMinutes() === 0) return;
+        const now = Date.now();
+        const history = privateConversations[userId] || [];
+        history.push({ role: "user", content: userInput, at: now }, { role: "assistant", content: responseText, at: now });
+        privateConversations[userId] = history.slice(-CONVERSATION_MAX_TURNS * 2); // Never grows past what could be sent
+    }
+
+    function rememberChainMessage(chatId, messageId, role, content, replyTo, userId) {
+        chainMessages.set(`${chatId}:${messageId}`, { role, content, replyTo, userId, at: Date.now() });
+        if (chainMessages.size > CHAIN_CACHE_LIMIT) {
+            chainMessages.delete(chainMessages.keys().next().value); // Maps iterate in insertion order
+        }
+    }
+
+    // Walks reply_to_message links back through remembered messages; the directly replied-to message is
+    // always included (from the Telegram update) even if the bot never saw it before
+    function getReplyChainContext(msg) {
+        const chatId = msg.chat.id;
+        const cutoff = getConversationCutoff(msg.from.id);
+        const repliedTo = getRepliedMessage(msg);
+        const context = [];
+        if (!repliedTo) return context; // Mention/prefix triggers can start a new chain
+
+        let entry = chainMessages.get(`${chatId}:${repliedTo.message_id}`);
+        if (!entry && (repliedTo.text || repliedTo.caption)) {
+            const isFromBot = repliedTo.from?.username === BOT_USERNAME;
+            const content = repliedTo.text || repliedTo.caption;
+            context.unshift({ role: isFromBot ? "assistant" : "user", content: isFromBot ? content : `${repliedTo.from?.first_name || "مستخدم"}: ${content}` });
+        }
+
+        const seen = new Set();
+        while (entry && entry.at >= cutoff && !seen.has(entry) && context.length < CONVERSATION_MAX_TURNS * 2) {
+            seen.add(entry);
+            context.unshift({ role: entry.role, content: entry.content });
+            entry = entry.replyTo ? chainMessages.get(`${chatId}:${entry.replyTo}`) : null;
+        }
+        return trimConversationContext(context);
+    }
+
+    // In private chats, quote the replied-to message when it isn't already part of the running history
+    function quoteRepliedMessage(msg, userInput) {
+        const quoted = msg.reply_to_message?.text || msg.reply_to_message?.caption;
+        const history = privateConversations[msg.from.id] || [];
+        if (!quoted || history.some(message => message.content === quoted)) return userInput;
+        return `> ${quoted.split("\n").join("\n> ")}\n\n${userInput}`;
+    }
+
+    function resetConversation(userId) {
+        delete privateConversations[userId];
+        conversationResets[userId] = Date.now();
+    }
+
+
+    // 📚 Knowledge Base (see knowledge.js)
+    // Admins add documents with /kb add (as a reply to a forwarded message or a .txt/.md file, or as the caption of an
+    // uploaded file). The best-matching passages are added to the AI's system prompt, and the answer lists the entries it cited.
+    const KB_MAX_FILE_BYTES = 1024 * 1024;
+
+    function isKnowledgeBaseFile(document) {
+        return /\.(txt|md|markdown)$/i.test(document.file_name || "") || (document.mime_type || "").startsWith("text/");
+    }
+
+    // Reads the text to add from a message: a text file's contents, or its text/caption. Throws with an Arabic message for the admin.
+    async function readKnowledgeBaseSource(message) {
+        if (message.document) {
+            if (!isKnowledgeBaseFile(message.document)) throw new Error("يُقبل فقط ملفات نصية (.txt أو .md).");
+            if (message.document.file_size > KB_MAX_FILE_BYTES) throw new Error("الملف أكبر من 1 ميغابايت.");
+            const response = await fetch(await bot.getFileLink(message.document.file_id));
+            if (!response.ok) throw new Error(`تعذر تنزيل الملف (${response.status}).`);
+            return { text: await response.text(), source: `file:${message.document.file_name || message.document.file_id}`, defaultTitle: message.document.file_name };
+        }
+        const text = message.text || message.caption;
+        if (!text) throw new Error("الرسالة لا تحتوي على نص.");
+        const origin = message.forward_origin?.chat?.title || message.forward_origin?.sender_user?.first_name || message.forward_from_chat?.title || message.forward_from?.first_name;
+        return { text, source: origin ? `message:${origin}` : "message", defaultTitle: text.split("\n")[0].slice(0, 60) };
+    }
+
+    async function addKnowledgeBaseEntry(msg, sourceMessage, title) {
+        const userId = msg.from.id;
+        try {
+            const { text, source, defaultTitle } = await readKnowledgeBaseSource(sourceMessage);
+            const entry = knowledgeBase.add({ title: title || defaultTitle, text, source, addedBy: describeActor(msg.from) });
+            if (!entry) {
+                bot.sendMessage(userId, "⚠️ لا يوجد نص لإضافته.");
+                return;
+            }
+            auditLog.record("kb.add", { actor: describeActor(msg.from), target: { kbId: entry.id }, details: { title: entry.title, source, chunks: entry.chunks.length } });
+            console.log(`📚 Knowledge base entry KB-${entry.id} added by ${userId} (${entry.chunks.length} passages).`);
+            bot.sendMessage(userId, `✅ تمت إضافة KB-${entry.id} «${entry.title}» (${entry.chunks.length} مقطع).`);
+        } catch (error) {
+            console.error("❌ Error adding knowledge base entry:", error.message);
+            bot.sendMessage(userId, `❌ فشلت الإضافة: ${error.message}`);
+        }
+    }
+
+    // Files uploaded with the caption "/kb add [title]" (captions don't go through the command router)
+    async function handleKnowledgeBaseUpload(msg) {
+        const caption = (msg.caption || "").trim();
+        if (!msg.document || !/^\/kb(@\w+)?\s+add\b/i.test(caption) || !msg.from) return false;
+        if (!hasPermission(msg.from.id, "manage_faq")) {
+            bot.sendMessage(msg.from.id, userText(msg.from.id, "common.adminOnly"));
+            return true;
+        }
+        await addKnowledgeBaseEntry(msg, msg, caption.replace(/^\/kb(@\w+)?\s+add\b/i, "").trim() || null);
+        return true;
+    }
+
+    // /kb command handler (admin-only) — add, list, remove and search knowledge base entries
+    async function handleKnowledgeBaseCommand(msg, args) {
+        const userId = msg.from.id;
+        const action = (args[0] || "").toLowerCase();
+
+        if (action === "add") {
+            if (!msg.reply_to_message) {
+                bot.sendMessage(userId, "➡️ أعد توجيه الرسالة أو أرسل ملف .txt/.md إلى البوت، ثم رد عليه بـ `/kb add [العنوان]`\n(أو أرسل الملف مع التعليق `/kb add [العنوان]`)", { parse_mode: "Markdown" });
+                return;
+            }
+            await addKnowledgeBaseEntry(msg, msg.reply_to_message, args.slice(1).join(" ") || null);
+            return;
+        }
+        if (action === "remove" && args[1]) {
+            const entry = knowledgeBase.remove(String(args[1]).replace(/^kb-/i, ""));
+            if (!entry) {
+                bot.sendMessage(userId, "⚠️ لم يتم العثور على هذا المدخل. راجع `/kb list`", { parse_mode: "Markdown" });
+                return;
+            }
+            auditLog.record("kb.remove", { actor: describeActor(msg.from), target: { kbId: entry.id }, details: { title: entry.title } });
+            bot.sendMessage(userId, `🗑️ تم حذف KB-${entry.id} «${entry.title}».`);
+            return;
+        }
+        if (action === "list") {
+            const entries = knowledgeBase.list();
+            const lines = entries.map(entry =>
+                `• KB-${entry.id} «${entry.title}» — ${entry.chunks.length} مقطع، ${entry.chunks.join("").length} حرف\n  ${entry.source} | ${entry.addedBy?.name || "—"} | ${formatTimestamp(entry.addedAt)}`);
+            await sendLongMessage(userId, `📚 قاعدة المعرفة (${entries.length}):\n${lines.join("\n") || "(فارغة)"}`);
+            return;
+        }
+        if (action === "search" && args[1]) {
+            const passages = knowledgeBase.search(args.slice(1).join(" "), { limit: KB_MAX_PASSAGES, minScore: KB_MIN_SCORE });
+            const lines = passages.map(passage => `• KB-${passage.entryId} «${passage.title}» (${passage.score.toFixed(2)})\n${passage.text.slice(0, 300)}${passage.text.length > 300 ? "…" : ""}`);
+            await sendLongMessage(userId, lines.length > 0 ? `🔎 المقاطع التي ستُرسل إلى الذكاء الاصطناعي:\n\n${lines.join("\n\n")}` : "🔎 لا توجد مقاطع مطابقة.");
+            return;
+        }
+
+        bot.sendMessage(userId, "➡️ الاستخدام:\n`/kb add [العنوان]` (بالرد على رسالة أو ملف)\n`/kb list`\n`/kb remove [المعرف]`\n`/kb search [سؤال]`", { parse_mode: "Markdown" });
+    }
+
+    // Passages for the prompt, or null when nothing in the knowledge base matches
+    function buildKnowledgeBaseContext(query) {
+        const passages = knowledgeBase.search(query, { limit: KB_MAX_PASSAGES, minScore: KB_MIN_SCORE });
+        if (passages.length === 0) return null;
+        const excerpts = passages.map(passage => `[KB-${passage.entryId}] ${passage.title}\n${passage.text}`).join("\n\n");
+        return {
+            passages,
+            prompt: `Community knowledge base excerpts:\n\n${excerpts}\n\nWhen these excerpts answer the question, base your answer on them and cite each excerpt you used with its tag, e.g. [KB-${passages[0].entryId}]. Do not cite excerpts you did not use, and do not invent information that is not in them.`
+        };
+    }
+
+    // "📚 Sources: ..." line for the entries cited in `answer` (only ones that were actually provided)
+    function formatKnowledgeBaseSources(answer, passages, language) {
+        const cited = passages.filter(passage => answer.includes(`[KB-${passage.entryId}]`));
+        if (cited.length === 0) return "";
+        return `\n\n📚 ${t(language, "kb.sources")}: ${cited.map(passage => `KB-${passage.entryId} «${passage.title}»`).join("، ")}`;
+    }
+
+    // ✂️ Long Messages
+    // Splits text into chunks of at most `limit` characters, preferring paragraph breaks, then line breaks, then spaces
+    function splitMessageText(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+        const chunks = [];
+        let rest = text;
+        while (rest.length > limit) {
+            const window = rest.slice(0, limit);
+            const minimum = Math.floor(limit / 2); // Don't produce tiny chunks just to split at a nicer place
+            let cut = window.lastIndexOf("\n\n");
+            if (cut < minimum) cut = window.lastIndexOf("\n");
+            if (cut < minimum) cut = window.lastIndexOf(" ");
+            if (cut < minimum) cut = limit;
+            chunks.push(rest.slice(0, cut).trimEnd());
+            rest = rest.slice(cut).trimStart();
+        }
+        if (rest) chunks.push(rest);
+        return chunks;
+    }
+
+    // Sends `text` as one or more messages (only the first one replies to `options.reply_to_message_id`, the other
+    // options such as message_thread_id apply to every part); returns them all
+    async function sendLongMessage(chatId, text, options = {}) {
+        const { reply_to_message_id: _replyTo, ...followUpOptions } = options;
+        const sentMessages = [];
+        for (const [i, chunk] of splitMessageText(text).entries()) {
+            sentMessages.push(await bot.sendMessage(chatId, chunk, i === 0 ? options : followUpOptions));
+        }
+        return sentMessages;
+    }
+
+
+    // 🧠 Generate AI Response for General Chat (provider, model, temperature and prompt from ai_config.json)
+    // `history` is prior context as [{ role: "user" | "assistant", content }], oldest first; `userId` (optional)
+    // is charged for the tokens used. Throws on API errors so callers don't store a failure notice as part of the conversation.
+    async function generateGeneralChatResponse(userInput, history = [], userId = null) {
+        if (!llmProvider) {
+            // Return a default non-AI message instead of throwing an error upstream
+            return "⚠️ خدمة الذكاء الاصطناعي غير مهيأة حاليًا.";
+        }
+        const language = userId ? getUserLanguage(userId) : DEFAULT_LANGUAGE;
+        const knowledge = buildKnowledgeBaseContext(userInput); // Relevant /kb passages, if any
+        try {
+            console.log(`🧠 Generating AI response for: "${userInput}"${knowledge ? ` (${knowledge.passages.length} KB passages)` : ""}`);
+            metrics.increment("ai_calls_total");
+            const response = await createChatCompletion({
+                messages: [
+                     {
+                        role: "system",
+                        content: getAiSystemPrompt(language) + (knowledge ? `\n\n${knowledge.prompt}` : "") // Answer in the user's language
+                    },
+                    ...history,
+                    { role: "user", content: userInput }, // Keep user input clean
+                ],
+                max_tokens: aiConfig.max_tokens,
+                temperature: aiConfig.temperature,
+            });
+
+            const result = response.content?.trim();
+            if (!result) throw new Error("Empty response from the AI provider");
+            if (userId) {
+                const tokensUsed = response.usage?.total_tokens
+                    ?? estimateTokens(userInput + history.map(message => message.content).join("") + result);
+                recordAiUsage(userId, tokensUsed);
+            }
+            console.log(`💡 AI Response generated (${history.length} context messages).`);
+            return knowledge ? result + formatKnowledgeBaseSources(result, knowledge.passages, language) : result;
+
+        } catch (error) {
+            console.error("❌ خطأ من مزود الذكاء الاصطناعي عند الدردشة العامة:", error.message);
+            auditLog.record("ai.error", { target: userId ? { userId } : null, result: error.message, details: { context: "chat" } });
+            metrics.increment("ai_errors_total");
+            throw error; // Callers send the user-facing "service unavailable" message
+        }
+    }
+
+
+
+
+    // --- Bot Startup and Error Handling ---
+    let housekeepingTimer = null;
+    let broadcastTimer = null;
+    let aiUsageFlushTimer = null;
+    let lastUpdateAt = null; // Time of the last update received (shown on /healthz)
+    bot.on("message", () => { lastUpdateAt = new Date().toISOString(); });
+    bot.on("callback_query", () => { lastUpdateAt = new Date().toISOString(); });
+
+    // The HTTP server always runs in webhook mode; in polling mode only when PORT is set (for /healthz and /metrics)
+    const httpServer = BOT_MODE === "webhook" || env.PORT ? createHttpServer({
+        port: HTTP_PORT,
+        webhookPath: BOT_MODE === "webhook" ? WEBHOOK_PATH : null,
+        secretToken: WEBHOOK_SECRET,
+        onUpdate: update => bot.processUpdate(update),
+        getHealth: () => ({
+            status: "ok",
+            mode: BOT_MODE,
+            uptimeSeconds: Math.floor((Date.now() - metrics.startedAt) / 1000),
+            lastUpdateAt
+        }),
+        getMetrics: () => metrics.render({
+            pending_approvals: { help: "Verification requests waiting for review", value: Object.keys(pendingApprovals).length },
+            verification_sessions: { help: "Users currently answering verification questions", value: Object.keys(verificationSessions).length },
+            verified_users: { help: "Currently verified users", value: Object.values(verifiedUsers).filter(record => record.verified).length },
+            ai_circuit_open: { help: "1 while AI requests are paused by the circuit breaker", value: aiCircuit.getState() === "open" ? 1 : 0 }
+        }),
+        onError: error => {
+            metrics.increment("errors_total");
+            console.error("🚨 HTTP Server Error:", error.message);
+        }
+    }) : null;
+
+    // Registers the webhook (webhook mode) or removes any leftover webhook and starts polling
+    async function startUpdates() {
+        if (httpServer) {
+            await httpServer.start();
+            console.log(`🌐 HTTP server listening on port ${HTTP_PORT} (/healthz, /metrics${BOT_MODE === "webhook" ? `, ${WEBHOOK_PATH}` : ""}).`);
+        }
+        if (BOT_MODE === "webhook") {
+            const webhookUrl = `${WEBHOOK_URL.replace(/\/$/, "")}${WEBHOOK_PATH}`;
+            await bot.setWebHook(webhookUrl, { secret_token: WEBHOOK_SECRET });
+            console.log(`🪝 Webhook set to ${webhookUrl}.`);
+        } else {
+            await bot.deleteWebHook();
+            await bot.startPolling();
+            console.log("🔄 Polling for updates.");
+        }
+    }
+
+    // Starts the housekeeping timers and receiving updates; rejects (with a message for the log) when the bot can't start
+    async function start() {
+        console.log("🚀 Starting Telegram Bot...");
+        housekeepingTimer = setInterval(runVerificationHousekeeping, HOUSEKEEPING_INTERVAL_MS);
+        broadcastTimer = setInterval(runScheduledBroadcasts, HOUSEKEEPING_INTERVAL_MS);
+        aiUsageFlushTimer = setInterval(flushAiUsage, AI_USAGE_FLUSH_INTERVAL_MS);
+
+        try {
+            await startUpdates();
+        } catch (error) {
+            throw new Error(`Failed to start receiving updates (${BOT_MODE} mode): ${error.response?.body?.description || error.message}`);
+        }
+
+        let botInfo;
+        try {
+            botInfo = await bot.getMe();
+        } catch (error) {
+            throw new Error(`Failed to get bot info: ${error.message}\n   - Check your BOT_TOKEN and network connection.`);
+        }
+        console.log(`✅ Bot Connected! Username: @${botInfo.username} (ID: ${botInfo.id})`);
+        // Check if configured BOT_USERNAME matches actual username
+        if (BOT_USERNAME && botInfo.username !== BOT_USERNAME) {
+            console.warn(`⚠️ Mismatch: Configured BOT_USERNAME ('${BOT_USERNAME}') does not match actual bot username ('${botInfo.username}'). Please update .env file.`);
+        } else if (!BOT_USERNAME) {
+            // /sendverify relies on it, so tell the admin what to set
+            throw new Error(`‼️ FATAL: BOT_USERNAME is not set in the environment variables, but the bot's username is '${botInfo.username}'. Please set BOT_USERNAME=${botInfo.username} in your .env file and restart.`);
+        }
+        syncCommandMenus();
+    }
+
+
+    // Global error handlers
+    // Polling errors that mean updates are not arriving: network failures (EFATAL), unparsable responses (EPARSE),
+    // a revoked token (401) or another instance polling with the same token (409). Transient ones (e.g. a single
+    // ECONNRESET) are retried by the library, so the admin is only alerted when they keep happening.
+    const recentCriticalPollingErrors = [];
+    let lastPollingAlertAt = 0;
+
+    function isCriticalPollingError(error) {
+        if (error.code === "ETELEGRAM") return [401, 404, 409].includes(error.response?.statusCode);
+        return error.code === "EFATAL" || error.code === "EPARSE";
+    }
+
+    function handleCriticalPollingError(error) {
+        const now = Date.now();
+        recentCriticalPollingErrors.push(now);
+        while (recentCriticalPollingErrors[0] < now - POLLING_ALERT_WINDOW_MINUTES * 60000) recentCriticalPollingErrors.shift();
+        if (recentCriticalPollingErrors.length < POLLING_ALERT_THRESHOLD || now - lastPollingAlertAt < POLLING_ALERT_COOLDOWN_MINUTES * 60000) return;
+
+        lastPollingAlertAt = now;
+        console.error(`🚨 ${recentCriticalPollingErrors.length} critical polling errors in ${POLLING_ALERT_WINDOW_MINUTES} minutes. Alerting the admin.`);
+        bot.sendMessage(ADMIN_ID, `🚨 *تنبيه:* حدث ${recentCriticalPollingErrors.length} أخطاء حرجة في استقبال التحديثات خلال ${POLLING_ALERT_WINDOW_MINUTES} دقائق.\nآخر خطأ: \`${error.code}: ${error.message.replace(/`/g, "'")}\``, { parse_mode: "Markdown" })
+            .catch(sendError => console.error("❌ Failed to send the polling alert to the admin:", sendError.message)); // Likely failing for the same reason
+    }
+
+    bot.on("polling_error", (error) => {
+        metrics.increment("errors_total");
+        console.error(`🚨 Polling Error: ${error.code} - ${error.message}`);
+        // Common errors: ECONNRESET, ETIMEDOUT, ENOTFOUND
+        if (isCriticalPollingError(error)) handleCriticalPollingError(error);
+    });
+
+    bot.on("webhook_error", (error) => {
+        metrics.increment("errors_total");
+        console.error(`🚨 Webhook Error: ${error.code} - ${error.message}`);
+        // If using webhooks instead of polling
+    });
+
+    bot.on("error", (error) => {
+        metrics.increment("errors_total");
+        console.error("🚨 General Bot Error:", error);
+    });
+
+    // Stops the timers and receiving updates and saves the AI usage counters; a webhook is left registered
+    async function stop() {
+        clearInterval(housekeepingTimer);
+        clearInterval(broadcastTimer);
+        clearInterval(aiUsageFlushTimer);
+        flushAiUsage();
+        if (BOT_MODE === "polling") {
+            await bot.stopPolling();
+            console.log("🛑 Bot polling stopped.");
+        }
+        if (httpServer) {
+            await httpServer.stop();
+            console.log("🛑 HTTP server closed.");
+        }
+    }
+
+    return { bot, storage, metrics, auditLog, knowledgeBase, start, stop };
+
+}
+
+module.exports = { createBot };
@@ -0,0 +1,95 @@
+const stringSimilarity = require("string-similarity");
+
+// ⌨️ Command Registry
+// Each command declares { name, description, args, chatTypes, permission, rawArgs, handler }:
+// - description: plain text or { ar, en, fr } (see i18n.localize); args: usage hint shown in /help, e.g. "<user_id> [reason]"
+// - chatTypes: "private", "group" (groups and supergroups) or null for anywhere
+// - permission: a role permission (see ROLE_PERMISSIONS in bot.js) or null for everyone
+// - rawArgs: pass the text after the command split on single spaces (keeps quotes and line breaks) instead of parsed arguments
+
+const COMMAND_NAME = /^[a-z0-9_]{1,32}$/; // Telegram's rule for command names
+
+// Splits arguments on whitespace; "double quoted" (or “curly quoted”) text stays one argument
+function splitArguments(text) {
+    const args = [];
+    for (const match of (text || "").matchAll(/"([^"]*)"|“([^”]*)”|(\S+)/g)) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return args;
+}
+
+// Parses "/name@BotName args..." into { name, botName, argsText, args }; null when the text is not a command.
+// `botName` is the @suffix (null when absent) so callers can ignore commands meant for other bots.
+function parseCommand(text) {
+    const match = /^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/.exec((text || "").trim());
+    if (!match) return null;
+    const argsText = match[3] || "";
+    return { name: match[1].toLowerCase(), botName: match[2] || null, argsText, args: splitArguments(argsText) };
+}
+
+function isAddressedToOtherBot(command, botUsername) {
+    return Boolean(command.botName && botUsername && command.botName.toLowerCase() !== botUsername.toLowerCase());
+}
+
+function chatTypeMatches(chatTypes, chatType) {
+    if (!chatTypes) return true;
+    return chatTypes === "group" ? chatType === "group" || chatType === "supergroup" : chatType === chatTypes;
+}
+
+// Levenshtein distance (insertions, deletions, substitutions)
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function createCommandRegistry() {
+    const commands = new Map();
+
+    function register(definition) {
+        if (!COMMAND_NAME.test(definition.name)) throw new Error(`Invalid command name "${definition.name}"`);
+        if (commands.has(definition.name)) throw new Error(`Command "/${definition.name}" is registered twice`);
+        commands.set(definition.name, { description: "", args: "", chatTypes: null, permission: null, rawArgs: false, ...definition });
+    }
+
+    // Commands usable in `chatType` ("private" / "group" / "supergroup", or null for any) by someone with `canUse(permission)`
+    function list({ chatType = null, canUse = permission => !permission } = {}) {
+        return [...commands.values()].filter(command => (!chatType || chatTypeMatches(command.chatTypes, chatType))
+            && canUse(command.permission));
+    }
+
+    // Closest command names to a mistyped one, best first. Bigram similarity (string-similarity) misses swapped
+    // letters in short names ("strat"), so the edit distance counts as well.
+    function suggest(name, candidates = [...commands.keys()], { limit = 3, minRating = 0.5 } = {}) {
+        if (!name) return [];
+        return candidates
+            .map(candidate => ({
+                candidate,
+                rating: Math.max(
+                    stringSimilarity.compareTwoStrings(name, candidate),
+                    1 - editDistance(name, candidate) / Math.max(name.length, candidate.length),
+                    candidate.startsWith(name) && name.length >= 3 ? 1 : 0
+                )
+            }))
+            .filter(({ rating }) => rating >= minRating)
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, limit)
+            .map(({ candidate }) => candidate);
+    }
+
+    return { register, get: name => commands.get(name) || null, list, suggest };
+}
+
+module.exports = {
+    createCommandRegistry,
+    parseCommand,
+    splitArguments,
+    isAddressedToOtherBot,
+    chatTypeMatches
+};
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+// 🌐 Locale Catalogs & Language Detection
+// Member-facing text lives in locales/<code>.json as flat "section.key" entries with {placeholder} params.
+// Missing keys fall back to the default language, then to the key itself so a gap is visible rather than fatal.
+
+const LOCALES_DIR = path.join(__dirname, "locales");
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || "ar";
+// franc returns ISO 639-3 codes; only languages we have catalogs for are considered
+const FRANC_TO_LANGUAGE = { arb: "ar", eng: "en", fra: "fr" };
+
+const catalogs = loadCatalogs();
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+let franc = null; // franc is ESM-only, so it is loaded asynchronously; detection is skipped until it is ready
+import("franc")
+    .then(module => { franc = module.franc; })
+    .catch(error => console.warn("⚠️ Could not load franc. Language detection from message text is disabled.", error.message));
+
+function loadCatalogs() {
+    const loaded = {};
+    for (const file of fs.readdirSync(LOCALES_DIR)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            loaded[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"));
+        } catch (error) {
+            console.error(`❌ Error loading or parsing locale file ${file}:`, error);
+        }
+    }
+    return loaded;
+}
+
+function isSupportedLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+}
+
+// Looks up a catalog string and fills in {placeholders} from `params`
+function t(language, key, params = {}) {
+    const template = catalogs[language]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Config values (e.g. verification questions) may be a plain value or { ar: ..., en: ... } per language
+function localize(value, language) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) return value;
+    return value[language] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+}
+
+// Returns a supported language code for the text, or null when it is too short or ambiguous to tell
+function detectLanguage(text) {
+    if (!franc || !text) return null;
+    const code = franc(text, { only: Object.keys(FRANC_TO_LANGUAGE), minLength: 10 });
+    const language = FRANC_TO_LANGUAGE[code];
+    return language && isSupportedLanguage(language) ? language : null;
+}
+
+// Maps Telegram's IETF `language_code` (e.g. "en-US") to a supported language, or null
+function languageFromTelegramCode(languageCode) {
+    const language = (languageCode || "").split("-")[0].toLowerCase();
+    return isSupportedLanguage(language) ? language : null;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    t,
+    localize,
+    detectLanguage,
+    languageFromTelegramCode,
+    isSupportedLanguage
+};
@@ -0,0 +1,152 @@
+const { createJsonFileBackend } = require("./storage");
+
+// 📚 Knowledge Base
+// Documents added by admins (/kb add), split into passages of a few paragraphs and indexed lexically with BM25.
+// Stored as one JSON file ({ nextId, entries: [{ id, title, source, addedBy, addedAt, chunks }] }) through the same
+// atomic JSON backend as the bot state; the index is rebuilt in memory on load and after every change.
+// Text is normalized before indexing (case, Latin accents, Arabic diacritics and letter variants) so "Vérification"
+// matches "verification" and "الإعلانية" matches "إعلاني".
+
+const CHUNK_MAX_CHARS = 800;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function normalizeText(text) {
+    return text
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "") // Latin accents and Arabic diacritics (tashkeel)
+        .replace(/ـ/g, "") // Tatweel
+        .replace(/[أإآٱ]/g, "ا")
+        .replace(/ى/g, "ي")
+        .replace(/ة/g, "ه")
+        .toLowerCase();
+}
+
+// Light Arabic stemming: drops the definite article (also after و / ب / ك / ف / ل) and a final ة (ه after normalizing)
+function stemArabicToken(token) {
+    const stemmed = token.replace(/^(?:[وبكف]?ال|لل)(?=\p{L}{2})/u, "");
+    return /[\u0600-\u06FF]/.test(stemmed) && stemmed.length > 3 ? stemmed.replace(/ه$/, "") : stemmed;
+}
+
+function tokenize(text) {
+    return (normalizeText(text).match(/[\p{L}\p{N}]+/gu) || []).filter(token => token.length >= 2).map(stemArabicToken);
+}
+
+// Splits a document into passages of at most `maxChars`, keeping paragraphs (then sentences, then words) together
+function chunkText(text, maxChars = CHUNK_MAX_CHARS) {
+    const pieces = [];
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+        if (paragraph.length <= maxChars) {
+            pieces.push(paragraph);
+            continue;
+        }
+        let current = "";
+        for (const sentence of paragraph.match(/[^.!?؟\n]+[.!?؟\n]*\s*/g) || [paragraph]) {
+            for (const part of sentence.length > maxChars ? sentence.match(new RegExp(`[\\s\\S]{1,${maxChars}}(?=\\s|$)|\\S+`, "g")) : [sentence]) {
+                if (current && current.length + part.length > maxChars) {
+                    pieces.push(current.trim());
+                    current = "";
+                }
+                current += part;
+            }
+        }
+        if (current.trim()) pieces.push(current.trim());
+    }
+
+    // Merge small neighbouring paragraphs into one passage
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last !== undefined && last.length + piece.length + 2 <= maxChars) {
+            chunks[chunks.length - 1] = `${last}\n\n${piece}`;
+        } else {
+            chunks.push(piece);
+        }
+    }
+    return chunks;
+}
+
+function createKnowledgeBase(filePath) {
+    const backend = createJsonFileBackend(filePath);
+    let data;
+    try {
+        data = backend.load() || { nextId: 1, entries: [] };
+    } catch (error) {
+        // Refuse to start rather than overwrite an unreadable knowledge base with an empty one on the next /kb add
+        throw new Error(`Failed to load the knowledge base ${filePath}: ${error.message}`);
+    }
+    let passages = [];
+    let documentFrequency = new Map();
+    let averageLength = 0;
+
+    function rebuildIndex() {
+        passages = data.entries.flatMap(entry => entry.chunks.map((text, chunkIndex) => {
+            const tokens = tokenize(`${entry.title}\n${text}`);
+            const termCounts = new Map();
+            for (const token of tokens) termCounts.set(token, (termCounts.get(token) || 0) + 1);
+            return { entryId: entry.id, title: entry.title, chunkIndex, text, length: tokens.length, termCounts };
+        }));
+        documentFrequency = new Map();
+        for (const passage of passages) {
+            for (const token of passage.termCounts.keys()) documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+        averageLength = passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1);
+    }
+
+    function save() {
+        backend.save(data);
+        rebuildIndex();
+    }
+
+    // Returns the new entry, or null when the text is empty
+    function add({ title, text, source, addedBy }) {
+        const chunks = chunkText(text || "");
+        if (chunks.length === 0) return null;
+        const entry = { id: data.nextId++, title, source, addedBy, addedAt: new Date().toISOString(), chunks };
+        data.entries.push(entry);
+        save();
+        return entry;
+    }
+
+    function remove(id) {
+        const index = data.entries.findIndex(entry => entry.id === Number(id));
+        if (index === -1) return null;
+        const [entry] = data.entries.splice(index, 1);
+        save();
+        return entry;
+    }
+
+    // Best passages for `query` (BM25), at most one per entry: [{ entryId, title, chunkIndex, text, score }]
+    function search(query, { limit = 3, minScore = 0.5 } = {}) {
+        const queryTokens = [...new Set(tokenize(query))];
+        if (queryTokens.length === 0 || passages.length === 0) return [];
+
+        const bestPerEntry = new Map();
+        for (const passage of passages) {
+            let score = 0;
+            for (const token of queryTokens) {
+                const frequency = passage.termCounts.get(token);
+                if (!frequency) continue;
+                const df = documentFrequency.get(token);
+                const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * passage.length / averageLength));
+            }
+            if (score >= minScore && score > (bestPerEntry.get(passage.entryId)?.score || 0)) {
+                bestPerEntry.set(passage.entryId, { entryId: passage.entryId, title: passage.title, chunkIndex: passage.chunkIndex, text: passage.text, score });
+            }
+        }
+        return [...bestPerEntry.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    rebuildIndex();
+    return {
+        add,
+        remove,
+        search,
+        list: () => data.entries,
+        get: id => data.entries.find(entry => entry.id === Number(id)) || null,
+        filePath
+    };
+}
+
+module.exports = { createKnowledgeBase, chunkText, tokenize, normalizeText };
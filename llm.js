@@ -0,0 +1,70 @@
+const { Together } = require("together-ai");
+
+// 🧠 LLM Providers
+// A provider turns chat-completion params ({ model, messages, max_tokens, temperature }) into
+// { content, usage: { total_tokens } | null }. Errors carry `status` (HTTP status, undefined for connection errors)
+// and `headers`, so the retry and circuit-breaker logic (see resilience.js) treats every provider the same.
+//   together — the Together AI SDK
+//   openai   — any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, llama.cpp, Ollama, LM Studio, ...)
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+function createTogetherProvider({ apiKey }) {
+    const client = new Together({ apiKey, maxRetries: 0 }); // Retries are handled by the caller
+    return {
+        name: "together",
+        async createChatCompletion(params) {
+            const response = await client.chat.completions.create(params);
+            return { content: response.choices?.[0]?.message?.content ?? null, usage: response.usage || null };
+        }
+    };
+}
+
+function createOpenAiCompatibleProvider({ baseUrl, apiKey = null }) {
+    const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    return {
+        name: "openai",
+        async createChatCompletion(params) {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+                    body: JSON.stringify(params),
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+            } catch (error) {
+                // fetch hides the reason (ECONNREFUSED, timeout, ...) in `cause`
+                const connectionError = new Error(`Request to ${url} failed: ${error.cause?.code || error.cause?.message || error.message}`);
+                connectionError.name = "APIConnectionError";
+                throw connectionError;
+            }
+
+            const body = await response.text();
+            if (!response.ok) {
+                const error = new Error(`${response.status} ${body.slice(0, 300)}`);
+                error.status = response.status;
+                error.headers = Object.fromEntries(response.headers);
+                throw error;
+            }
+            const data = JSON.parse(body);
+            return { content: data.choices?.[0]?.message?.content ?? null, usage: data.usage || null };
+        }
+    };
+}
+
+const PROVIDERS = {
+    together: createTogetherProvider,
+    openai: createOpenAiCompatibleProvider
+};
+
+// Returns null when the provider can't be used (missing API key / base URL), so AI features stay disabled
+function createLlmProvider({ provider, baseUrl, apiKey }) {
+    if (provider === "together" && !apiKey) return null;
+    if (provider === "openai" && !baseUrl) return null;
+    const factory = PROVIDERS[provider];
+    if (!factory) throw new Error(`Unknown LLM provider "${provider}" (expected ${Object.keys(PROVIDERS).join(" or ")})`);
+    return factory({ baseUrl, apiKey });
+}
+
+module.exports = { createLlmProvider, PROVIDER_NAMES: Object.keys(PROVIDERS) };
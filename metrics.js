@@ -0,0 +1,42 @@
+// 📈 Metrics
+// In-process counters exposed on /metrics in the Prometheus text format. Counters reset on restart;
+// gauges (current queue sizes, uptime) are computed when the endpoint is scraped.
+
+const COUNTERS = {
+    messages_total: "Messages received",
+    callback_queries_total: "Inline button presses received",
+    ai_calls_total: "Requests sent to the AI provider",
+    ai_errors_total: "Failed AI requests",
+    ai_circuit_opened_total: "Times AI requests were paused by the circuit breaker",
+    telegram_retries_total: "Retried Telegram API calls (rate limits, server and network errors)",
+    verifications_submitted_total: "Verification requests submitted",
+    verifications_approved_total: "Verification requests approved",
+    verifications_rejected_total: "Verification requests rejected",
+    errors_total: "Polling, webhook and general bot errors"
+};
+
+function createMetrics(prefix = "bot") {
+    const counters = Object.fromEntries(Object.keys(COUNTERS).map(name => [name, 0]));
+    const startedAt = Date.now();
+
+    function increment(name, by = 1) {
+        if (!(name in counters)) throw new Error(`Unknown metric "${name}"`);
+        counters[name] += by;
+    }
+
+    // `gauges` is { name: { help, value } } for values that are read at scrape time
+    function render(gauges = {}) {
+        const lines = [];
+        const write = (name, type, help, value) => {
+            lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`, `${prefix}_${name} ${value}`);
+        };
+        for (const [name, help] of Object.entries(COUNTERS)) write(name, "counter", help, counters[name]);
+        write("uptime_seconds", "gauge", "Seconds since the bot started", Math.floor((Date.now() - startedAt) / 1000));
+        for (const [name, { help, value }] of Object.entries(gauges)) write(name, "gauge", help, value);
+        return `${lines.join("\n")}\n`;
+    }
+
+    return { increment, render, counters, startedAt };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,214 @@
+// 🛟 Resilient Outbound Calls
+// - withRetry: retries transient failures with exponential backoff (+ jitter), honouring retry_after / Retry-After
+// - createChatQueue: per-chat token buckets + a global bucket so bursts stay within Telegram's rate limits
+// - wrapTelegramBot: routes the bot's outbound methods through the queue and withRetry
+// - createCircuitBreaker: stops calling a failing dependency (the AI provider) for a while
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const TRANSIENT_NETWORK_ERROR = /ECONNRESET|ETIMEDOUT|ESOCKETTIMEDOUT|EAI_AGAIN|ENOTFOUND|ECONNREFUSED|EPIPE|socket hang up|network/i;
+// Network errors raised before the request could reach the server
+const CONNECTION_NOT_MADE_ERROR = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/;
+
+// Telegram (node-telegram-bot-api) errors: ETELEGRAM with the HTTP status, EFATAL for network failures, EPARSE for bad responses
+function isRetryableTelegramError(error) {
+    const status = error.response?.statusCode;
+    if (error.code === "ETELEGRAM") return status === 429 || status >= 500;
+    if (error.code === "EPARSE") return true;
+    return TRANSIENT_NETWORK_ERROR.test(error.message || "");
+}
+
+// Sends aren't idempotent: after a timeout or a 5xx the message may already have been delivered, and a retry would
+// duplicate it. They are only retried on 429 and when the connection was never made.
+function isRetryableTelegramSendError(error) {
+    if (error.code === "ETELEGRAM") return error.response?.statusCode === 429;
+    return CONNECTION_NOT_MADE_ERROR.test(error.message || "");
+}
+
+function getTelegramRetryAfterMs(error) {
+    const seconds = error.response?.body?.parameters?.retry_after;
+    return seconds ? seconds * 1000 : null;
+}
+
+// AI provider errors carry `status` (missing for connection errors, named APIConnectionError / APIConnectionTimeoutError) and the response headers
+function isRetryableAiError(error) {
+    if (error.status === undefined) return /^APIConnection/.test(error.name) || TRANSIENT_NETWORK_ERROR.test(error.message || "");
+    return error.status === 429 || error.status >= 500;
+}
+
+function getAiRetryAfterMs(error) {
+    const header = error.headers?.["retry-after"] ?? error.headers?.get?.("retry-after");
+    const seconds = Number(header);
+    return header && !isNaN(seconds) ? seconds * 1000 : null;
+}
+
+// options: { retries, baseDelayMs, maxDelayMs, isRetryable(error), getRetryAfterMs(error), onRetry(error, attempt, delayMs) }
+async function withRetry(fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 30000, isRetryable = () => true, getRetryAfterMs = () => null, onRetry = () => {} } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt > retries || !isRetryable(error)) throw error;
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+            const delayMs = Math.max(getRetryAfterMs(error) ?? 0, backoff);
+            onRetry(error, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Token bucket: `burst` tokens, refilled at `perMinute`; returns ms to wait before a token is available (and takes it)
+function createTokenBucket(burst, perMinute) {
+    let tokens = burst;
+    let updatedAt = Date.now();
+    return {
+        take() {
+            const now = Date.now();
+            tokens = Math.min(burst, tokens + ((now - updatedAt) / 60000) * perMinute);
+            updatedAt = now;
+            tokens -= 1;
+            return tokens >= 0 ? 0 : Math.ceil((-tokens / perMinute) * 60000);
+        }
+    };
+}
+
+// Tasks for the same chat run one at a time and in order; different chats run independently.
+// Defaults follow Telegram's documented limits: ~1 message/second per private chat, 20/minute per group, 30/second overall.
+function createChatQueue({ privateChat = { burst: 5, perMinute: 60 }, groupChat = { burst: 5, perMinute: 20 }, global = { burst: 30, perMinute: 1800 } } = {}) {
+    const chains = new Map(); // chatId -> promise of the last queued task
+    const buckets = new Map(); // chatId -> token bucket
+    const globalBucket = createTokenBucket(global.burst, global.perMinute);
+
+    function getBucket(chatId) {
+        if (!buckets.has(chatId)) {
+            // Negative IDs are groups and channels
+            const limits = Number(chatId) < 0 ? groupChat : privateChat;
+            buckets.set(chatId, createTokenBucket(limits.burst, limits.perMinute));
+        }
+        return buckets.get(chatId);
+    }
+
+    function enqueue(chatId, task) {
+        const key = String(chatId);
+        const previous = chains.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(async () => {
+            const waitMs = Math.max(getBucket(key).take(), globalBucket.take());
+            if (waitMs > 0) await sleep(waitMs);
+            return task();
+        });
+        chains.set(key, run);
+        // Forget idle chats so the map doesn't grow forever
+        run.catch(() => {}).then(() => {
+            if (chains.get(key) === run) chains.delete(key);
+        });
+        return run;
+    }
+
+    return { enqueue, pending: () => chains.size };
+}
+
+// Methods that send to a chat (queued per chat and retried) and where to find the chat ID in their arguments
+const QUEUED_TELEGRAM_METHODS = {
+    sendMessage: args => args[0],
+    sendDocument: args => args[0],
+    sendPhoto: args => args[0],
+    copyMessage: args => args[0],
+    forwardMessage: args => args[0],
+    editMessageText: args => args[1]?.chat_id,
+    editMessageReplyMarkup: args => args[1]?.chat_id
+};
+// Methods that create something new on every call (retried with isRetryableTelegramSendError)
+const NON_IDEMPOTENT_TELEGRAM_METHODS = ["sendMessage", "sendDocument", "sendPhoto", "copyMessage", "forwardMessage", "createChatInviteLink"];
+// Methods that are only retried (moderation actions and answers that should not wait behind queued messages)
+const RETRIED_TELEGRAM_METHODS = [
+    "answerCallbackQuery", "deleteMessage", "deleteMessages", "banChatMember", "unbanChatMember", "restrictChatMember",
+    "createChatInviteLink", "revokeChatInviteLink", "approveChatJoinRequest", "declineChatJoinRequest", "getChatMember", "setMyCommands"
+];
+
+// Replaces the bot's outbound methods in place, so every existing call site gets queueing and retries
+function wrapTelegramBot(bot, { queue = createChatQueue(), retries = 3, onRetry = () => {} } = {}) {
+    const getRetryOptions = method => ({
+        retries,
+        isRetryable: NON_IDEMPOTENT_TELEGRAM_METHODS.includes(method) ? isRetryableTelegramSendError : isRetryableTelegramError,
+        getRetryAfterMs: getTelegramRetryAfterMs,
+        onRetry: (error, attempt, delayMs) => onRetry(method, error, attempt, delayMs)
+    });
+    for (const [method, getChatId] of Object.entries(QUEUED_TELEGRAM_METHODS)) {
+        const original = bot[method].bind(bot);
+        bot[method] = (...args) => {
+            const call = () => withRetry(() => original(...args), getRetryOptions(method));
+            const chatId = getChatId(args);
+            return chatId === undefined ? call() : queue.enqueue(chatId, call);
+        };
+    }
+    for (const method of RETRIED_TELEGRAM_METHODS) {
+        if (typeof bot[method] !== "function") continue;
+        const original = bot[method].bind(bot);
+        bot[method] = (...args) => withRetry(() => original(...args), getRetryOptions(method));
+    }
+    return bot;
+}
+
+class CircuitOpenError extends Error {
+    constructor(name, retryInMs) {
+        super(`Circuit "${name}" is open; retry in ${Math.ceil(retryInMs / 1000)}s`);
+        this.name = "CircuitOpenError";
+        this.retryInMs = retryInMs;
+    }
+}
+
+// closed → (failureThreshold consecutive failures) → open → (resetTimeoutMs) → half-open: one trial call closes or reopens it
+function createCircuitBreaker({ name = "circuit", failureThreshold = 5, resetTimeoutMs = 60000, onStateChange = () => {} } = {}) {
+    let state = "closed";
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    function setState(next) {
+        if (state === next) return;
+        state = next;
+        onStateChange(next);
+    }
+
+    async function run(fn) {
+        if (state === "open") {
+            const retryInMs = openedAt + resetTimeoutMs - Date.now();
+            if (retryInMs > 0) throw new CircuitOpenError(name, retryInMs);
+            setState("half-open");
+        }
+        if (state === "half-open") {
+            if (trialInFlight) throw new CircuitOpenError(name, resetTimeoutMs);
+            trialInFlight = true;
+        }
+        try {
+            const result = await fn();
+            failures = 0;
+            setState("closed");
+            return result;
+        } catch (error) {
+            failures++;
+            if (state === "half-open" || failures >= failureThreshold) {
+                openedAt = Date.now();
+                setState("open");
+            }
+            throw error;
+        } finally {
+            if (state !== "half-open") trialInFlight = false;
+        }
+    }
+
+    return { run, getState: () => state };
+}
+
+module.exports = {
+    withRetry,
+    createChatQueue,
+    wrapTelegramBot,
+    createCircuitBreaker,
+    CircuitOpenError,
+    isRetryableTelegramError,
+    isRetryableTelegramSendError,
+    getTelegramRetryAfterMs,
+    isRetryableAiError,
+    getAiRetryAfterMs
+};
@@ -0,0 +1,78 @@
+// ⏰ Schedules
+// Five-field cron expressions (minute hour day-of-month month day-of-week, evaluated in UTC) with *, lists (1,15),
+// ranges (1-5) and steps (*/10, 8-18/2). Day-of-week is 0-6 with 0 (or 7) = Sunday. As in cron, when both
+// day-of-month and day-of-week are restricted, a day matching either one matches; a field starting with "*"
+// (also */2) counts as unrestricted here, as in Vixie cron.
+
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day of week", min: 0, max: 7 }
+];
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60; // Safety net; parseCron already refuses days no month has (e.g. 31 February)
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(",")) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new Error(`Invalid ${name} "${part}"`);
+        const start = match[1] === "*" ? min : Number(match[2]);
+        const end = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+        const step = match[4] ? Number(match[4]) : 1;
+        if (start < min || end > max || start > end || step < 1) throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+// Returns { minutes, hours, days, months, weekdays, anyDay, anyWeekday } or throws with a readable message
+function parseCron(expression) {
+    const fields = (expression || "").trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error("A cron expression has 5 fields: minute hour day-of-month month day-of-week");
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    const anyDay = fields[2].startsWith("*");
+    const anyWeekday = fields[4].startsWith("*");
+    // Only the day of month can pick the day then, and it must exist in at least one of the months
+    if (!anyDay && anyWeekday && ![...months].some(month => [...days].some(day => day <= MAX_DAYS_IN_MONTH[month - 1]))) {
+        throw new Error("The day of month never occurs in the given months");
+    }
+    return { minutes, hours, days, months, weekdays, anyDay, anyWeekday };
+}
+
+function cronDayMatches(cron, date) {
+    const dayMatches = cron.days.has(date.getUTCDate());
+    const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+    if (cron.anyDay || cron.anyWeekday) return dayMatches && weekdayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+// Next time (a Date, strictly after `after`) the expression matches; null if it never does
+function getNextCronTime(expression, after = new Date()) {
+    const cron = parseCron(expression);
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let guard = 0; guard < MAX_SEARCH_MINUTES; guard++) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!cronDayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, getNextCronTime };
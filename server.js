@@ -0,0 +1,97 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// 🌐 HTTP Server
+// Receives Telegram webhook updates (when enabled) and serves /healthz and /metrics.
+// Webhook requests must carry the secret token Telegram was given in setWebHook
+// (X-Telegram-Bot-Api-Secret-Token header); anything else is rejected with 401.
+
+const MAX_BODY_BYTES = 1024 * 1024; // Telegram updates are far smaller; guards against junk uploads
+
+function isSecretTokenValid(received, expected) {
+    if (typeof received !== "string" || received.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+// options: { port, webhookPath, secretToken, onUpdate(update), getHealth() → object, getMetrics() → string, onError(error) }
+// `webhookPath` null disables the webhook route (health/metrics only, e.g. in polling mode)
+function createHttpServer({ port, webhookPath = null, secretToken = null, onUpdate, getHealth, getMetrics, onError = () => {} }) {
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body, contentType = "application/json") => {
+            res.writeHead(status, { "Content-Type": contentType });
+            res.end(typeof body === "string" ? body : JSON.stringify(body));
+        };
+        const path = req.url.split("?")[0];
+
+        try {
+            if (req.method === "GET" && path === "/healthz") {
+                send(200, getHealth());
+            } else if (req.method === "GET" && path === "/metrics") {
+                send(200, getMetrics(), "text/plain; version=0.0.4");
+            } else if (webhookPath && path === webhookPath) {
+                if (req.method !== "POST") {
+                    send(405, { error: "method not allowed" });
+                    return;
+                }
+                if (!isSecretTokenValid(req.headers["x-telegram-bot-api-secret-token"], secretToken)) {
+                    console.warn(`⚠️ Rejected webhook request with a missing or wrong secret token from ${req.socket.remoteAddress}.`);
+                    send(401, { error: "unauthorized" });
+                    return;
+                }
+                const update = JSON.parse(await readBody(req));
+                // Acknowledge first: Telegram retries updates that are not answered quickly
+                send(200, { ok: true });
+                onUpdate(update);
+            } else {
+                send(404, { error: "not found" });
+            }
+        } catch (error) {
+            onError(error);
+            if (!res.headersSent) send(400, { error: "bad request" });
+        }
+    });
+
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, () => {
+                server.off("error", reject);
+                server.on("error", onError);
+                resolve();
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => {
+            if (!server.listening) {
+                resolve();
+                return;
+            }
+            server.close(() => resolve());
+            server.closeIdleConnections?.(); // Keep-alive connections would otherwise hold close() open
+        });
+    }
+
+    return { start, stop, server };
+}
+
+module.exports = { createHttpServer, isSecretTokenValid };
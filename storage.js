@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+// 🗄️ Bot State Storage
+// All verification state lives in one object that is persisted through a pluggable backend.
+// A backend is any object with `name`, `load()` (returns the saved state or null) and `save(state)`.
+// Both calls are synchronous so every state change is on disk before the handler continues.
+
+const STATE_VERSION = 2;
+
+function createEmptyState() {
+    return {
+        version: STATE_VERSION,
+        verifiedUsers: {}, // { userId: userRecord } — everyone who went through verification; `verified` is the current status
+        verificationSessions: {}, // { userId: { questions: [...], step: 0, answers: ["..."], startedAt, lastActivityAt, remindedAt } }
+        pendingApprovals: {}, // { userId: { transcript: [{ question, type, answer }], submittedAt, reviewMessages: [{ chatId, messageId }] } }
+        lastVerificationMessage: { messageId: null },
+        aiScreeningLog: [], // Automatic approve/reject decisions (kept so the admin can reverse them)
+        roles: {}, // { userId: "owner" | "moderator" | "reviewer" } — ADMIN_ID is always an owner on top of these
+        settings: {}, // Runtime settings changed through admin commands (e.g. conversationTtlMinutes)
+        aiUsage: { date: null, users: {} }, // Today's (UTC) AI usage: { userId: { name, requests, tokens } }
+        languages: {}, // { userId: { override, detected, telegram } } — see getUserLanguage() for the priority
+        aiTriggers: { chats: {}, allow: [], deny: [] }, // Group AI trigger policy: { chats: { chatId: { mode, prefix } }, allow/deny: ["chatId" | "chatId:topicId"] }
+        topicRules: {}, // { "chatId" | "chatId:topicId": [{ type, seconds, actions, muteMinutes }] } — see handleTopicRules()
+        moderation: {}, // { userId: { name, warnings: [{ at, chatId, by, reason }], actions: [{ at, chatId, type, by, reason, minutes, escalated }] } }
+        spamReports: {}, // Unresolved spam reports: { reportId: { chatId, topicId, userId, name, reasons, action, copy, reviewMessages } }
+        deepLinks: { campaigns: {}, starts: {} }, // Tracked /start links: campaigns: { code: { label, createdAt, createdBy } }, starts: { payload: count }
+        scheduledBroadcasts: {} // { id: { source: { chatId, messageId }, target, preview, schedule: { type: "once", at } | { type: "cron", expression }, nextRunAt, createdBy, createdAt, lastRunAt, lastResult } }
+    };
+}
+
+// 📄 JSON file backend — writes to a temp file, fsyncs it, then renames over the target so a crash never leaves half a file
+function createJsonFileBackend(filePath) {
+    return {
+        name: "json",
+        load() {
+            if (!fs.existsSync(filePath)) return null;
+            return JSON.parse(fs.readFileSync(filePath, "utf8"));
+        },
+        save(state) {
+            const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+            const fd = fs.openSync(tempPath, "w");
+            try {
+                fs.writeSync(fd, JSON.stringify(state, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, filePath);
+        }
+    };
+}
+
+// Register additional backends (e.g. sqlite) here; each factory receives the configured location
+const STORAGE_BACKENDS = {
+    json: createJsonFileBackend
+};
+
+function createBackend(type, location) {
+    const factory = STORAGE_BACKENDS[type];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${type}". Available backends: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+    }
+    return factory(location);
+}
+
+// 🔁 Migration from the pre-storage layout (verified_users.json, last_verification_message.json, ai_screening_log.json).
+// The legacy files are only read, never deleted, so rolling back stays possible.
+function readLegacyJson(filePath, fallback) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, "utf8"));
+        }
+    } catch (error) {
+        console.warn(`⚠️ Warning: Could not read legacy file ${filePath} during migration.`, error.message);
+    }
+    return fallback;
+}
+
+function migrateLegacyFiles(state, legacyFiles) {
+    const verifiedUsers = readLegacyJson(legacyFiles.verifiedUsers, {});
+    for (const [userId, value] of Object.entries(verifiedUsers)) {
+        if (value) state.verifiedUsers[userId] = value;
+    }
+
+    const lastVerificationMessage = readLegacyJson(legacyFiles.lastVerificationMessage, {});
+    state.lastVerificationMessage.messageId = lastVerificationMessage.messageId || null;
+
+    const aiScreeningLog = readLegacyJson(legacyFiles.aiScreeningLog, []);
+    if (Array.isArray(aiScreeningLog)) state.aiScreeningLog.push(...aiScreeningLog);
+
+    console.log(`🔁 Migrated ${Object.keys(state.verifiedUsers).length} verified users and the last verification message into the state store.`);
+    return state;
+}
+
+// 👤 Verification record kept for every user who applied (verified or not)
+function createUserRecord(userId, overrides = {}) {
+    return {
+        userId: Number(userId),
+        username: null,
+        firstName: null,
+        verified: false,
+        verifiedAt: null,
+        approvedBy: null, // { id, name } of the approving admin, or "ai_screening"
+        unverifiedAt: null,
+        unverifiedBy: null,
+        rejectionCount: 0,
+        lastRejectedAt: null,
+        lastRejectionReason: null, // Preset reason ({ language: text }) or the reviewer's typed text
+        reapplyAfter: null, // ISO time before which /start is refused (growing cooldown after each rejection)
+        appeal: null, // { rejectedAt, submittedAt, text, status: "pending" | "accepted" | "denied", decidedBy, reviewMessages } — one per rejection
+        source: null, // { payload, referrerId, at } — the deep link that started the user's latest verification
+        inviteLink: null, // { url, createdAt, expiresAt, revokedAt } — personal single-use link to the private group
+        history: [], // [{ submittedAt, transcript, decision: "pending" | "approved" | "rejected" | "expired", decidedBy, decidedAt, reason }]
+        ...overrides
+    };
+}
+
+// 🔢 Versioned state migrations: STATE_MIGRATIONS[n] upgrades a version-n state to version n + 1 (in place)
+const STATE_MIGRATIONS = {
+    // v1 stored verified users as `{ userId: true }`
+    1(state) {
+        for (const [userId, value] of Object.entries(state.verifiedUsers)) {
+            if (value === true) {
+                state.verifiedUsers[userId] = createUserRecord(userId, { verified: true });
+            }
+        }
+    }
+};
+
+function migrateState(state) {
+    let version = state.version || 1;
+    while (version < STATE_VERSION) {
+        STATE_MIGRATIONS[version](state);
+        version++;
+        console.log(`🔁 Migrated bot state to version ${version}.`);
+    }
+    state.version = STATE_VERSION;
+    return state;
+}
+
+// Loads the state (migrating legacy files on first run) and returns { state, save }.
+// `state` is mutated in place by the bot; call `save()` after every change.
+function createStorage(backend, legacyFiles = {}) {
+    let state;
+    try {
+        state = backend.load();
+    } catch (error) {
+        // Refuse to start rather than silently overwrite a corrupt store with an empty one
+        throw new Error(`Failed to load bot state from the ${backend.name} backend: ${error.message}`);
+    }
+
+    const isFirstRun = !state;
+    const needsMigration = isFirstRun || (state.version || 1) < STATE_VERSION;
+    if (isFirstRun) {
+        // Legacy files hold the v1 layout; the version migrations below bring them up to date
+        state = migrateLegacyFiles({ ...createEmptyState(), version: 1 }, legacyFiles);
+    } else {
+        state = { ...createEmptyState(), ...state, version: state.version || 1 };
+    }
+    migrateState(state);
+
+    function save() {
+        try {
+            backend.save(state);
+        } catch (error) {
+            console.error(`❌ Error saving bot state with the ${backend.name} backend:`, error);
+        }
+    }
+
+    if (needsMigration) save();
+    return { state, save };
+}
+
+module.exports = {
+    createStorage,
+    createBackend,
+    createJsonFileBackend,
+    createEmptyState,
+    createUserRecord,
+    STORAGE_BACKENDS
+};
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, MEMBER, COMMUNITY_GROUP_ID } = require("./helpers/harness");
+
+const TOPIC_ID = 55;
+
+test("every part of a long AI answer in a forum topic stays in that topic", async t => {
+    const harness = await createTestBot({ env: { AI_TRIGGER_MODE: "prefix" }, llmReply: `${"A long answer. ".repeat(400)}\n\n${"More details. ".repeat(100)}` });
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+
+    const question = sendGroupMessage(MEMBER, "!ai Tell me everything", { topicId: TOPIC_ID });
+    await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID && !call.params.reply_to_message_id);
+    await telegram.idle();
+
+    const parts = telegram.callsTo("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID);
+    assert.ok(parts.length >= 2);
+    assert.equal(parts[0].params.reply_to_message_id, question.message_id);
+    for (const part of parts) assert.equal(part.params.message_thread_id, TOPIC_ID);
+});
+
+test("in reply mode, a topic the bot created doesn't count as a reply to the bot", async t => {
+    const harness = await createTestBot({ llmReply: "Here is the answer." });
+    t.after(() => harness.close());
+    const { telegram, llm, sendGroupMessage } = harness;
+
+    sendGroupMessage(MEMBER, "Hello everyone", { topicId: TOPIC_ID, topicCreator: telegram.botUser });
+    await telegram.idle();
+    assert.equal(llm.requests.length, 0);
+
+    // Replying to one of the bot's messages in the topic does trigger it, without the topic root as context
+    const botMessage = { message_id: 90, from: telegram.botUser, chat: { id: COMMUNITY_GROUP_ID, type: "supergroup" }, date: 0, text: "Welcome to the topic", message_thread_id: TOPIC_ID };
+    sendGroupMessage(MEMBER, "What are the rules?", { topicId: TOPIC_ID, topicCreator: telegram.botUser, reply_to_message: botMessage });
+    await telegram.waitFor("sendMessage", call => call.params.text === "Here is the answer.");
+    assert.equal(llm.requests.length, 1);
+    assert.deepEqual(llm.requests[0].messages.slice(1).map(message => message.content), ["Welcome to the topic", "What are the rules?"]);
+});
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../i18n");
+const { createTestBot, ADMIN, REVIEWER, MEMBER, OTHER_MEMBER, TEST_VERIFICATION_QUESTIONS } = require("./helpers/harness");
+
+const NO_PERMISSION = "❌ ليس لديك صلاحية لهذا الإجراء!";
+const ALREADY_PROCESSED = "⚠️ الطلب تمت معالجته بالفعل أو انتهت صلاحيته.";
+
+const answeredWith = text => call => call.params.text === text;
+
+test("buttons on a review message do nothing for users without the review permission", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    for (const data of ["approve_200", "reject_200", "rejnone_200"]) {
+        telegram.reset();
+        const query = clickButton(OTHER_MEMBER, review.result, data);
+        const answer = await telegram.waitFor("answerCallbackQuery");
+        assert.equal(answer.params.callback_query_id, query.id);
+        assert.equal(answer.params.text, NO_PERMISSION);
+        await telegram.idle();
+        assert.deepEqual(telegram.calls.map(call => call.method), ["answerCallbackQuery"], `${data} must not act`);
+    }
+
+    assert.ok(state.pendingApprovals[MEMBER.id]);
+    assert.equal(state.verifiedUsers[MEMBER.id].verified, false);
+    assert.equal(state.verifiedUsers[MEMBER.id].rejectionCount, 0);
+});
+
+test("a request that was already approved can't be approved or rejected again", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    clickButton(ADMIN, review.result, "approve_200");
+    await telegram.waitFor("editMessageText", call => call.params.chat_id === ADMIN.id);
+    await telegram.idle();
+    telegram.reset();
+
+    clickButton(ADMIN, review.result, "approve_200");
+    await telegram.waitFor("answerCallbackQuery", answeredWith(ALREADY_PROCESSED));
+    const edit = await telegram.waitFor("editMessageText");
+    assert.match(edit.params.text, /✅ \(تمت المعالجة\)$/);
+
+    clickButton(ADMIN, review.result, "rejreason_200_0");
+    await telegram.waitFor("answerCallbackQuery", call => call.params.text === ALREADY_PROCESSED && call !== telegram.calls[0]);
+    await telegram.idle();
+
+    assert.equal(telegram.callsTo("sendMessage").length, 0, "the user hears nothing more");
+    assert.equal(state.verifiedUsers[MEMBER.id].verified, true);
+    assert.equal(state.verifiedUsers[MEMBER.id].rejectionCount, 0);
+    assert.equal(state.verifiedUsers[MEMBER.id].history.length, 1);
+});
+
+test("the first reviewer's decision wins and updates every reviewer's copy", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+    state.roles[REVIEWER.id] = "reviewer";
+
+    const reviews = await harness.completeQuestionnaire(MEMBER);
+    assert.deepEqual(reviews.map(call => call.params.chat_id).sort(), [ADMIN.id, REVIEWER.id]);
+    const reviewerCopy = reviews.find(call => call.params.chat_id === REVIEWER.id);
+    const adminCopy = reviews.find(call => call.params.chat_id === ADMIN.id);
+    telegram.reset();
+
+    clickButton(REVIEWER, reviewerCopy.result, "rejnone_200");
+    await telegram.waitFor("editMessageText", call => call.params.chat_id === ADMIN.id);
+    await telegram.idle();
+
+    const edits = telegram.callsTo("editMessageText");
+    assert.deepEqual(edits.map(call => [call.params.chat_id, call.params.message_id]).sort(),
+        [[ADMIN.id, adminCopy.result.message_id], [REVIEWER.id, reviewerCopy.result.message_id]].sort());
+    assert.ok(edits.every(call => call.params.text.includes("(بواسطة Reviewer)")));
+    assert.equal(state.verifiedUsers[MEMBER.id].rejectionCount, 1);
+    assert.equal(state.verifiedUsers[MEMBER.id].lastRejectionReason, null);
+
+    // The admin's button on their (now outdated) copy
+    telegram.reset();
+    clickButton(ADMIN, adminCopy.result, "approve_200");
+    await telegram.waitFor("answerCallbackQuery", answeredWith(ALREADY_PROCESSED));
+    assert.equal(state.verifiedUsers[MEMBER.id].verified, false);
+});
+
+test("an approve button with an invalid user ID is refused", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton } = harness;
+
+    clickButton(ADMIN, { message_id: 1, chat: { id: ADMIN.id, type: "private" }, text: "request" }, "approve_abc");
+    const answer = await telegram.waitFor("answerCallbackQuery");
+    assert.equal(answer.params.text, "⚠️ خطأ: معرّف المستخدم غير صالح.");
+});
+
+test("questionnaire buttons only work for the current question", async t => {
+    const harness = await createTestBot({
+        verificationQuestions: {
+            questions_per_session: 2,
+            randomize: false,
+            questions: [
+                { id: "rules", type: "yesno", always: true, text: "Do you accept the rules?" },
+                { id: "share", type: "yesno", always: true, text: "Will you keep the group private?" }
+            ]
+        }
+    });
+    t.after(() => harness.close());
+    const { telegram, sendMessage, clickButton, state } = harness;
+
+    sendMessage(MEMBER, "/start");
+    const first = await telegram.waitFor("sendMessage", call => call.params.text.includes("(1/2)"));
+    clickButton(MEMBER, first.result, "vq_0_1");
+    await telegram.waitFor("sendMessage", call => call.params.text.includes("(2/2)"));
+    assert.equal(state.verificationSessions[MEMBER.id].answers[0], "لا");
+
+    telegram.reset();
+    clickButton(MEMBER, first.result, "vq_0_0"); // The first question's buttons again
+    const answer = await telegram.waitFor("answerCallbackQuery");
+    assert.equal(answer.params.text, i18n.t("en", "verification.inactiveQuestion"));
+    assert.equal(state.verificationSessions[MEMBER.id].step, 1);
+    assert.equal(state.verificationSessions[MEMBER.id].answers[0], "لا");
+
+    // Someone else clicking the user's buttons has no session of their own
+    clickButton(OTHER_MEMBER, first.result, "vq_1_0");
+    await telegram.waitFor("answerCallbackQuery", answeredWith(i18n.t("ar", "verification.inactiveQuestion")));
+    assert.equal(state.verificationSessions[MEMBER.id].step, 1);
+});
+
+test("a double click on a questionnaire button records one answer", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, clickButton, state } = harness;
+
+    sendMessage(MEMBER, "/start");
+    await telegram.waitFor("sendMessage", call => call.params.text.includes("(1/2)"));
+    sendMessage(MEMBER, "To keep fake and spam accounts out");
+    const second = await telegram.waitFor("sendMessage", call => call.params.text.includes("(2/2)"));
+
+    clickButton(MEMBER, second.result, "vq_1_0");
+    clickButton(MEMBER, second.result, "vq_1_1");
+    await telegram.waitFor("answerCallbackQuery", answeredWith(i18n.t("en", "verification.inactiveQuestion")));
+    await telegram.waitFor("sendMessage", answeredWith(i18n.t("en", "verification.submitted")));
+    await telegram.idle();
+
+    assert.equal(telegram.callsTo("sendMessage", answeredWith(i18n.t("en", "verification.submitted"))).length, 1);
+    assert.equal(state.pendingApprovals[MEMBER.id].transcript[1].answer, "نعم");
+    assert.equal(state.verifiedUsers[MEMBER.id].history.length, 1);
+});
+
+test("a double click on the undo button reverses an automatic decision once", async t => {
+    const harness = await createTestBot({
+        verificationQuestions: { ...TEST_VERIFICATION_QUESTIONS, ai_screening: { enabled: true, auto_approve: true, auto_approve_min_score: 85 } },
+        llmReply: JSON.stringify({ score: 92, rationale: "إجابات جادة.", recommendation: "approve" })
+    });
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+
+    await harness.answerQuestionnaire(MEMBER);
+    const review = await telegram.waitFor("sendMessage", call => call.params.chat_id === ADMIN.id);
+    await telegram.waitFor("sendMessage", answeredWith(i18n.t("en", "verification.approved")));
+
+    clickButton(ADMIN, review.result, "undoauto_200");
+    clickButton(ADMIN, review.result, "undoauto_200");
+    await telegram.waitFor("answerCallbackQuery", answeredWith("⚠️ لا يوجد قرار تلقائي قابل للتراجع لهذا المستخدم."));
+    await telegram.waitFor("answerCallbackQuery", answeredWith("↩️ تم إلغاء التوثيق."));
+    await telegram.idle();
+
+    assert.equal(telegram.callsTo("answerCallbackQuery", answeredWith("↩️ تم إلغاء التوثيق.")).length, 1);
+    assert.equal(state.verifiedUsers[MEMBER.id].verified, false);
+    assert.equal(state.aiScreeningLog[0].reversedBy, ADMIN.id);
+});
+
+test("anyone can use the /lang buttons", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+
+    clickButton(OTHER_MEMBER, { message_id: 1, chat: { id: OTHER_MEMBER.id, type: "private" }, text: "Language" }, "lang_fr");
+    await telegram.waitFor("answerCallbackQuery");
+    assert.equal(state.languages[OTHER_MEMBER.id].override, "fr");
+});
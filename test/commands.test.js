@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../i18n");
+const { createTestBot, MEMBER, COMMUNITY_GROUP_ID } = require("./helpers/harness");
+
+const inGroup = call => call.params.chat_id === COMMUNITY_GROUP_ID;
+
+test("private-only commands in a group are only answered when addressed to this bot", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+
+    sendGroupMessage(MEMBER, "/start");
+    sendGroupMessage(MEMBER, "/referral");
+    await telegram.idle();
+    assert.equal(telegram.callsTo("sendMessage", inGroup).length, 0);
+
+    sendGroupMessage(MEMBER, "/start@TestBot");
+    const reply = await telegram.waitFor("sendMessage", inGroup);
+    assert.equal(reply.params.text, i18n.t("en", "commands.privateOnly", { command: "/start" }));
+});
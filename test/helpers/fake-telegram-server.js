@@ -0,0 +1,155 @@
+const http = require("http");
+
+// 🧪 Fake Telegram Bot API
+// A local HTTP server answering Bot API calls the way Telegram does (point TelegramBot's baseApiUrl at `url`).
+// Every call is recorded as { method, params, result }; tests wait for the calls they expect with waitFor().
+// respond(method, handler) overrides a method: the handler gets the params and returns the result, or
+// { error_code, description } to make the call fail with that HTTP status.
+
+const DEFAULT_BOT_USER = { id: 1000, is_bot: true, first_name: "Test Bot", username: "TestBot" };
+const SENT_MESSAGE_METHODS = ["sendMessage", "sendPhoto", "sendDocument", "forwardMessage"];
+
+const JSON_FIELDS = ["reply_markup", "entities", "caption_entities", "permissions", "reply_parameters", "commands", "scope", "message_ids", "link_preview_options"];
+const STRING_FIELDS = ["text", "caption", "callback_query_id", "inline_message_id"];
+
+// Form values arrive as strings; JSON-encoded fields (reply_markup, ...), numbers and booleans are decoded back
+function decodeValue(key, value) {
+    if (JSON_FIELDS.includes(key)) return JSON.parse(value);
+    if (STRING_FIELDS.includes(key)) return value;
+    if (/^-?\d+$/.test(value)) return Number(value);
+    return value === "true" ? true : value === "false" ? false : value;
+}
+
+function readParams(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("error", reject);
+        request.on("end", () => {
+            const body = Buffer.concat(chunks).toString("utf8");
+            const params = {};
+            // File uploads (multipart) are recorded without their parameters
+            if ((request.headers["content-type"] || "").startsWith("application/x-www-form-urlencoded")) {
+                for (const [key, value] of new URLSearchParams(body)) params[key] = decodeValue(key, value);
+            }
+            resolve(params);
+        });
+    });
+}
+
+function createFakeTelegramServer({ botUser = DEFAULT_BOT_USER } = {}) {
+    const calls = [];
+    const waiters = [];
+    const overrides = new Map();
+    let nextMessageId = 1;
+    let nextInviteId = 1;
+    let inFlight = 0;
+    let lastActivityAt = Date.now();
+
+    function buildMessage(params, messageId = nextMessageId++) {
+        return {
+            message_id: messageId,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: params.chat_id, type: Number(params.chat_id) < 0 ? "supergroup" : "private" },
+            from: botUser,
+            ...(params.text !== undefined && { text: String(params.text) }),
+            ...(params.reply_markup && { reply_markup: params.reply_markup }),
+            ...(params.message_thread_id && { message_thread_id: params.message_thread_id, is_topic_message: true })
+        };
+    }
+
+    function defaultResult(method, params) {
+        if (method === "getMe") return botUser;
+        if (SENT_MESSAGE_METHODS.includes(method)) return buildMessage(params);
+        if (method === "copyMessage") return { message_id: nextMessageId++ };
+        if (method === "editMessageText" || method === "editMessageReplyMarkup") return buildMessage(params, params.message_id);
+        if (method === "getChatMember") return { status: "left", user: { id: params.user_id, is_bot: false, first_name: "User" } };
+        if (method === "createChatInviteLink") {
+            return { invite_link: `https://t.me/+fakeInvite${nextInviteId++}`, creator: botUser, creates_join_request: false, is_primary: false, is_revoked: false, ...params };
+        }
+        return true;
+    }
+
+    function notify(call) {
+        for (const waiter of [...waiters]) {
+            if (waiter.method === call.method && waiter.predicate(call)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(call);
+            }
+        }
+    }
+
+    const server = http.createServer(async (request, response) => {
+        inFlight++;
+        lastActivityAt = Date.now();
+        const method = request.url.split("/").pop();
+        const params = await readParams(request);
+        const handler = overrides.get(method);
+        const outcome = handler ? await handler(params) : defaultResult(method, params);
+        const failed = Boolean(outcome && outcome.error_code);
+        const call = { method, params, result: failed ? null : outcome, error: failed ? outcome : null };
+        calls.push(call);
+
+        response.writeHead(failed ? outcome.error_code : 200, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(failed ? { ok: false, ...outcome } : { ok: true, result: outcome }));
+        inFlight--;
+        lastActivityAt = Date.now();
+        notify(call);
+    });
+
+    return {
+        calls,
+        botUser,
+        url: null,
+
+        async start() {
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            this.url = `http://127.0.0.1:${server.address().port}`;
+            return this.url;
+        },
+
+        async stop() {
+            for (const waiter of waiters.splice(0)) clearTimeout(waiter.timer);
+            server.closeAllConnections(); // TelegramBot keeps connections alive
+            await new Promise(resolve => server.close(resolve));
+        },
+
+        respond(method, handler) {
+            overrides.set(method, handler);
+        },
+
+        // Forgets the recorded calls (overrides stay)
+        reset() {
+            calls.length = 0;
+        },
+
+        callsTo(method, predicate = () => true) {
+            return calls.filter(call => call.method === method && predicate(call));
+        },
+
+        // First recorded (or future) call of `method` matching `predicate`
+        waitFor(method, predicate = () => true, { timeoutMs = 2000 } = {}) {
+            const recorded = calls.find(call => call.method === method && predicate(call));
+            if (recorded) return Promise.resolve(recorded);
+            return new Promise((resolve, reject) => {
+                const waiter = { method, predicate, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`Timed out waiting for ${method} (recorded: ${calls.map(call => call.method).join(", ") || "none"})`));
+                }, timeoutMs);
+                waiters.push(waiter);
+            });
+        },
+
+        // Resolves once no call has been in flight for `quietMs` (for checking that something did NOT happen)
+        async idle(quietMs = 100) {
+            const since = Date.now();
+            while (inFlight > 0 || Date.now() - Math.max(lastActivityAt, since) < quietMs) {
+                await new Promise(resolve => setTimeout(resolve, quietMs / 4));
+            }
+        }
+    };
+}
+
+module.exports = { createFakeTelegramServer, DEFAULT_BOT_USER };
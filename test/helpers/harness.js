@@ -0,0 +1,191 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TelegramBot = require("node-telegram-bot-api");
+const { t } = require("../../i18n");
+const { createBot } = require("../../bot");
+const { createStorage } = require("../../storage");
+const { createChatQueue } = require("../../resilience");
+const { createFakeTelegramServer } = require("./fake-telegram-server");
+
+// 🧪 Test Harness
+// Builds a bot wired to the fake Bot API server, an in-memory state store, a stubbed AI provider and a temporary
+// config folder, plus helpers that feed it updates the way Telegram would. Logs are muted unless TEST_VERBOSE is set.
+
+const ADMIN = { id: 100, is_bot: false, first_name: "Admin", language_code: "ar" };
+const REVIEWER = { id: 300, is_bot: false, first_name: "Reviewer", language_code: "ar" };
+const MEMBER = { id: 200, is_bot: false, first_name: "Sam", username: "sam", language_code: "en" };
+const OTHER_MEMBER = { id: 400, is_bot: false, first_name: "Alex", language_code: "en" };
+
+const PUBLIC_CHANNEL_ID = -1001;
+const PRIVATE_GROUP_ID = -1002;
+const COMMUNITY_GROUP_ID = -1003;
+const RESTRICTED_TOPIC_ID = 77;
+
+// A fixed questionnaire: one free-text question, then one yes/no question
+const TEST_VERIFICATION_QUESTIONS = {
+    questions_per_session: 2,
+    randomize: false,
+    ai_screening: { enabled: false },
+    rejection_reasons: [{ id: "incomplete", text: { ar: "الإجابات غير مكتملة.", en: "The answers were incomplete.", fr: "Les réponses étaient incomplètes." } }],
+    questions: [
+        { id: "purpose", type: "text", always: true, text: { ar: "ما هو الغرض من التحقق؟", en: "What is verification for?", fr: "À quoi sert la vérification ?" } },
+        { id: "rules", type: "yesno", text: { ar: "هل توافق على القوانين؟", en: "Do you accept the rules?", fr: "Acceptez-vous les règles ?" } }
+    ]
+};
+
+// Stands in for the Together client (see llm.js): records every request and answers with `reply`
+function createStubLlm(reply = "Stub answer") {
+    const llm = {
+        name: "stub",
+        requests: [],
+        reply,
+        async createChatCompletion(params) {
+            llm.requests.push(params);
+            const content = typeof llm.reply === "function" ? await llm.reply(params) : llm.reply;
+            return { content, usage: { total_tokens: 10 } };
+        }
+    };
+    return llm;
+}
+
+// In-memory backend for createStorage(); `saves` counts the writes
+function createMemoryBackend(initialState = null) {
+    const backend = {
+        name: "memory",
+        saves: 0,
+        load: () => initialState,
+        save() {
+            backend.saves++;
+        }
+    };
+    return backend;
+}
+
+function muteConsole() {
+    if (process.env.TEST_VERBOSE) return () => {};
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    return () => Object.assign(console, original);
+}
+
+// options: env (merged over the defaults), verificationQuestions, initialState, llmReply
+async function createTestBot({ env = {}, verificationQuestions = TEST_VERIFICATION_QUESTIONS, initialState = null, llmReply } = {}) {
+    const restoreConsole = muteConsole();
+    const telegram = createFakeTelegramServer();
+    await telegram.start();
+
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "verification-bot-test-"));
+    fs.writeFileSync(path.join(configDir, "verification_questions.json"), JSON.stringify(verificationQuestions));
+    fs.writeFileSync(path.join(configDir, "data.json"), JSON.stringify({ verification_keywords: ["verification help"], verification_reference: "Use /start to begin verification." }));
+    fs.writeFileSync(path.join(configDir, "ai_config.json"), JSON.stringify({ provider: "together", model: "test-model" }));
+
+    const llm = createStubLlm(llmReply);
+    const storage = createStorage(createMemoryBackend(initialState));
+    const telegramBot = new TelegramBot("123456:TEST", { polling: false, baseApiUrl: telegram.url });
+    const unlimited = { burst: 1000, perMinute: 60000 };
+    const app = createBot({
+        bot: telegramBot,
+        storage,
+        configDir,
+        telegramQueue: createChatQueue({ privateChat: unlimited, groupChat: unlimited, global: unlimited }),
+        llmProviderFactory: () => llm,
+        env: {
+            ADMIN_ID: String(ADMIN.id),
+            PUBLIC_CHANNEL_ID: String(PUBLIC_CHANNEL_ID),
+            PRIVATE_GROUP_ID: String(PRIVATE_GROUP_ID),
+            RESTRICTED_TOPIC_ID: String(RESTRICTED_TOPIC_ID),
+            BOT_USERNAME: telegram.botUser.username,
+            TOGETHER_AI_API_KEY: "test-key",
+            AUDIT_LOG_PATH: path.join(configDir, "audit_log.jsonl"),
+            KB_PATH: path.join(configDir, "knowledge_base.json"),
+            TELEGRAM_MAX_RETRIES: "0",
+            AI_MAX_RETRIES: "0",
+            ...env
+        }
+    });
+
+    let nextUpdateId = 1;
+    let nextMessageId = 100000; // Incoming messages; the fake server numbers the bot's own messages from 1
+
+    // Delivers a message update; `chat` defaults to the sender's private chat
+    function sendMessage(from, text, { chat = { id: from.id, type: "private", first_name: from.first_name }, ...fields } = {}) {
+        const message = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text, ...fields };
+        if (text.startsWith("/")) message.entities = [{ type: "bot_command", offset: 0, length: text.split(/\s/)[0].length }];
+        app.bot.processUpdate({ update_id: nextUpdateId++, message });
+        return message;
+    }
+
+    // Delivers a post in the community group, or in one of its forum topics. Like Telegram, a topic post that isn't a
+    // reply carries the topic's creation message (created by `topicCreator`) as reply_to_message.
+    function sendGroupMessage(from, text, { chatId = COMMUNITY_GROUP_ID, topicId = null, topicCreator = ADMIN, ...fields } = {}) {
+        const chat = { id: chatId, type: "supergroup", title: "Community", is_forum: Boolean(topicId) };
+        const topicRoot = topicId && {
+            message_id: topicId,
+            from: topicCreator,
+            chat,
+            date: Math.floor(Date.now() / 1000),
+            message_thread_id: topicId,
+            forum_topic_created: { name: `Topic ${topicId}`, icon_color: 7322096 }
+        };
+        return sendMessage(from, text, {
+            chat,
+            ...(topicId && { message_thread_id: topicId, is_topic_message: true, reply_to_message: topicRoot }),
+            ...fields
+        });
+    }
+
+    // Clicks an inline button of a message the bot sent (`message` is a recorded call's result)
+    function clickButton(from, message, data) {
+        const query = { id: String(nextUpdateId), from, message, chat_instance: "test", data };
+        app.bot.processUpdate({ update_id: nextUpdateId++, callback_query: query });
+        return query;
+    }
+
+    // Runs /start and answers the test questionnaire as `user` (an English speaker)
+    async function answerQuestionnaire(user, answer = "To keep fake and spam accounts out") {
+        const toUser = call => call.params.chat_id === user.id;
+        sendMessage(user, "/start");
+        await telegram.waitFor("sendMessage", call => toUser(call) && call.params.text.includes("(1/2)"));
+        sendMessage(user, answer);
+        const secondQuestion = await telegram.waitFor("sendMessage", call => toUser(call) && call.params.text.includes("(2/2)"));
+        clickButton(user, secondQuestion.result, "vq_1_0");
+    }
+
+    // answerQuestionnaire(), then waits until the request is with the reviewers; resolves to the review messages
+    async function completeQuestionnaire(user, answer) {
+        await answerQuestionnaire(user, answer);
+        await telegram.waitFor("sendMessage", call => call.params.chat_id === user.id && call.params.text === t("en", "verification.submitted"));
+        return telegram.callsTo("sendMessage", call => getButtons(call).some(button => button.callback_data === `approve_${user.id}`));
+    }
+
+    // Waits for the handlers still running (they may write to the temporary folder), then cleans up
+    async function close() {
+        await telegram.idle();
+        await telegram.stop();
+        fs.rmSync(configDir, { recursive: true, force: true });
+        restoreConsole();
+    }
+
+    return { app, telegram, llm, storage, state: storage.state, configDir, sendMessage, sendGroupMessage, clickButton, answerQuestionnaire, completeQuestionnaire, close };
+}
+
+// Inline buttons ({ text, callback_data } or { text, url }) of a recorded call
+function getButtons(call) {
+    return (call.params.reply_markup?.inline_keyboard || []).flat();
+}
+
+module.exports = {
+    createTestBot,
+    createStubLlm,
+    getButtons,
+    ADMIN,
+    REVIEWER,
+    MEMBER,
+    OTHER_MEMBER,
+    PUBLIC_CHANNEL_ID,
+    PRIVATE_GROUP_ID,
+    COMMUNITY_GROUP_ID,
+    RESTRICTED_TOPIC_ID,
+    TEST_VERIFICATION_QUESTIONS
+};
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createKnowledgeBase } = require("../knowledge");
+
+test("an unreadable knowledge base file is refused rather than replaced with an empty one", t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "verification-bot-kb-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "knowledge_base.json");
+    fs.writeFileSync(filePath, "{ not json");
+
+    assert.throws(() => createKnowledgeBase(filePath), /Failed to load the knowledge base/);
+    assert.equal(fs.readFileSync(filePath, "utf8"), "{ not json");
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot, ADMIN, MEMBER, COMMUNITY_GROUP_ID } = require("./helpers/harness");
+
+test("/purge deletes the command and up to 99 messages before it in one batch", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+
+    sendGroupMessage(ADMIN, "/purge 100");
+    const usage = await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID);
+    assert.match(usage.params.text, /\/purge \[1-99\]/);
+
+    const command = sendGroupMessage(ADMIN, "/purge 99");
+    const purge = await telegram.waitFor("deleteMessages");
+    assert.equal(purge.params.message_ids.length, 100);
+    assert.equal(purge.params.message_ids[0], command.message_id - 99);
+    assert.equal(purge.params.message_ids[99], command.message_id);
+});
+
+test("the AI toxicity check skips short messages and stays within a per-chat budget", async t => {
+    const harness = await createTestBot({ env: { SPAM_AI_MODERATION: "true" }, llmReply: JSON.stringify({ flagged: false, reason: "" }) });
+    t.after(() => harness.close());
+    const { telegram, llm, sendGroupMessage } = harness;
+
+    sendGroupMessage(MEMBER, "ok thanks");
+    await telegram.idle();
+    assert.equal(llm.requests.length, 0);
+
+    for (let i = 0; i < 25; i++) {
+        sendGroupMessage({ id: 500 + i, is_bot: false, first_name: `Member ${i}` }, `Message number ${i} about the meetup`);
+    }
+    await telegram.idle();
+    assert.equal(llm.requests.length, 20);
+});
+
+test("moderation commands in a forum topic don't take the topic's creation message for a reply", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage, state } = harness;
+
+    sendGroupMessage(ADMIN, "/warn spamming", { topicId: 55, topicCreator: MEMBER });
+    const usage = await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID);
+    assert.match(usage.params.text, /الاستخدام \(بالرد على رسالة المستخدم\)/);
+    assert.equal(state.moderation[MEMBER.id], undefined);
+
+    // Message IDs can't be told apart by topic, so /purge is refused in forum groups
+    sendGroupMessage(ADMIN, "/purge 3", { topicId: 55 });
+    await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID && call.params.text.includes("/purge"));
+    assert.equal(telegram.callsTo("deleteMessages").length, 0);
+
+    // A real reply in the topic still picks the target
+    const post = sendGroupMessage(MEMBER, "Buy followers now", { topicId: 55 });
+    sendGroupMessage(ADMIN, "/warn spamming", { topicId: 55, reply_to_message: post });
+    await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID && call.params.text.includes("Sam"));
+    assert.equal(state.moderation[MEMBER.id].warnings.length, 1);
+});
+
+test("/modlog lists actions taken automatically as well as by admins", async t => {
+    const harness = await createTestBot({
+        initialState: {
+            moderation: {
+                [MEMBER.id]: {
+                    name: MEMBER.first_name,
+                    warnings: [],
+                    actions: [
+                        { at: "2026-03-01T09:00:00.000Z", chatId: COMMUNITY_GROUP_ID, type: "mute", by: "ai_screening", minutes: 10 },
+                        { at: "2026-03-02T09:00:00.000Z", chatId: COMMUNITY_GROUP_ID, type: "unmute", by: { id: ADMIN.id, name: ADMIN.first_name } }
+                    ]
+                }
+            }
+        }
+    });
+    t.after(() => harness.close());
+    const { telegram, sendMessage } = harness;
+
+    sendMessage(ADMIN, `/modlog ${MEMBER.id}`);
+    const log = await telegram.waitFor("sendMessage", call => call.params.chat_id === ADMIN.id);
+    assert.match(log.params.text, /\(10 دقيقة\) — ai_screening/);
+    assert.match(log.params.text, new RegExp(`— ${ADMIN.first_name} \\(${ADMIN.id}\\)`));
+});
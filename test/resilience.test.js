@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { wrapTelegramBot, createChatQueue } = require("../resilience");
+
+const QUEUED_METHODS = ["sendMessage", "sendDocument", "sendPhoto", "copyMessage", "forwardMessage", "editMessageText", "editMessageReplyMarkup"];
+
+// A stand-in for TelegramBot whose methods fail with the given errors first, then succeed
+function createFailingBot(errors) {
+    const bot = { calls: {} };
+    for (const method of QUEUED_METHODS) {
+        bot.calls[method] = 0;
+        bot[method] = async () => {
+            const error = errors[bot.calls[method]++];
+            if (error) throw error;
+            return true;
+        };
+    }
+    return bot;
+}
+
+const networkError = message => Object.assign(new Error(`EFATAL: Error: ${message}`), { code: "EFATAL" });
+const telegramError = statusCode => Object.assign(new Error(`ETELEGRAM: ${statusCode}`), { code: "ETELEGRAM", response: { statusCode, body: {} } });
+
+test("sends are not retried once the request may have reached Telegram", async () => {
+    for (const error of [networkError("ETIMEDOUT"), networkError("socket hang up"), telegramError(502)]) {
+        const bot = wrapTelegramBot(createFailingBot([error]), { queue: createChatQueue(), retries: 2 });
+        await assert.rejects(bot.sendMessage(1, "hi"));
+        assert.equal(bot.calls.sendMessage, 1, error.message);
+    }
+});
+
+test("sends are retried on 429 and when the connection was never made", async () => {
+    for (const error of [networkError("getaddrinfo ENOTFOUND api.telegram.org"), networkError("connect ECONNREFUSED")]) {
+        const bot = wrapTelegramBot(createFailingBot([error]), { queue: createChatQueue(), retries: 2 });
+        assert.equal(await bot.sendMessage(1, "hi"), true);
+        assert.equal(bot.calls.sendMessage, 2, error.message);
+    }
+    const rateLimited = Object.assign(telegramError(429), { response: { statusCode: 429, body: { parameters: { retry_after: 0 } } } });
+    const bot = wrapTelegramBot(createFailingBot([rateLimited]), { queue: createChatQueue(), retries: 2 });
+    assert.equal(await bot.sendMessage(1, "hi"), true);
+    assert.equal(bot.calls.sendMessage, 2);
+});
+
+test("edits are retried on timeouts and server errors", async () => {
+    const bot = wrapTelegramBot(createFailingBot([networkError("ETIMEDOUT"), telegramError(502)]), { queue: createChatQueue(), retries: 2 });
+    assert.equal(await bot.editMessageText("edited", { chat_id: 1, message_id: 2 }), true);
+    assert.equal(bot.calls.editMessageText, 3);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, getNextCronTime } = require("../schedule");
+
+const after = new Date("2026-10-19T00:00:00Z"); // A Monday
+
+test("a stepped day field counts as unrestricted, so day and weekday must both match", () => {
+    const cron = parseCron("0 9 */2 * 1");
+    assert.equal(cron.anyDay, true);
+    assert.equal(getNextCronTime("0 9 */2 * 1", after).toISOString(), "2026-10-19T09:00:00.000Z");
+    // The next Mondays, 26 October and 2 November, are even days: the next match is Monday 9 November
+    assert.equal(getNextCronTime("0 9 */2 * 1", new Date("2026-10-19T10:00:00Z")).toISOString(), "2026-11-09T09:00:00.000Z");
+});
+
+test("restricting both day fields matches either one", () => {
+    assert.equal(getNextCronTime("0 0 31 2 1", after).toISOString(), "2027-02-01T00:00:00.000Z");
+});
+
+test("days that never occur in the given months are refused up front", () => {
+    assert.throws(() => parseCron("0 0 30 2 *"), /never occurs/);
+    assert.throws(() => getNextCronTime("0 0 31 4,6 *"), /never occurs/);
+    assert.equal(getNextCronTime("0 0 29 2 *", after).toISOString(), "2028-02-29T00:00:00.000Z");
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../i18n");
+const { createTestBot, getButtons, ADMIN, MEMBER, PUBLIC_CHANNEL_ID } = require("./helpers/harness");
+
+const toChannel = call => call.params.chat_id === PUBLIC_CHANNEL_ID;
+const toAdmin = call => call.params.chat_id === ADMIN.id;
+
+test("/sendverify posts the verification message when there is none yet", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, state } = harness;
+
+    sendMessage(ADMIN, "/sendverify");
+    const post = await telegram.waitFor("sendMessage", toChannel);
+    await telegram.waitFor("sendMessage", call => toAdmin(call) && call.params.text === "✅ تم إرسال رسالة التحقق بنجاح!");
+
+    assert.equal(post.params.text, i18n.t("ar", "verification.channelPrompt"));
+    assert.deepEqual(getButtons(post), [{ text: i18n.t("ar", "verification.channelButton"), url: "https://t.me/TestBot?start=verify" }]);
+    assert.equal(state.lastVerificationMessage.messageId, post.result.message_id);
+    assert.equal(telegram.callsTo("editMessageText").length, 0);
+});
+
+test("/sendverify edits the existing message instead of posting a new one", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, state } = harness;
+    state.lastVerificationMessage.messageId = 42;
+
+    sendMessage(ADMIN, "/sendverify");
+    const edit = await telegram.waitFor("editMessageText");
+    await telegram.waitFor("sendMessage", call => toAdmin(call) && call.params.text === "✅ تم تحديث رسالة التحقق بنجاح!");
+
+    assert.equal(edit.params.chat_id, PUBLIC_CHANNEL_ID);
+    assert.equal(edit.params.message_id, 42);
+    assert.equal(getButtons(edit)[0].url, "https://t.me/TestBot?start=verify");
+    assert.equal(telegram.callsTo("sendMessage", toChannel).length, 0);
+    assert.equal(state.lastVerificationMessage.messageId, 42);
+});
+
+test("/sendverify posts a new message when the old one was deleted", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, state } = harness;
+    state.lastVerificationMessage.messageId = 42;
+    telegram.respond("editMessageText", () => ({ error_code: 400, description: "Bad Request: message to edit not found" }));
+
+    sendMessage(ADMIN, "/sendverify");
+    const post = await telegram.waitFor("sendMessage", toChannel);
+    await telegram.waitFor("sendMessage", call => toAdmin(call) && call.params.text === "✅ تم إرسال رسالة التحقق بنجاح!");
+
+    assert.equal(telegram.callsTo("editMessageText").length, 1);
+    assert.notEqual(post.result.message_id, 42);
+    assert.equal(state.lastVerificationMessage.messageId, post.result.message_id);
+});
+
+test("/sendverify reports a failure when the channel can't be posted to", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, state } = harness;
+    telegram.respond("sendMessage", params => params.chat_id === PUBLIC_CHANNEL_ID
+        ? { error_code: 403, description: "Forbidden: bot is not a member of the channel chat" }
+        : { message_id: 1, date: 0, chat: { id: params.chat_id, type: "private" }, text: params.text });
+
+    sendMessage(ADMIN, "/sendverify");
+    await telegram.waitFor("sendMessage", call => toAdmin(call) && call.params.text.startsWith("❌ فشل فادح"));
+    assert.equal(state.lastVerificationMessage.messageId, null);
+});
+
+test("/sendverify is refused for members", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage } = harness;
+
+    sendMessage(MEMBER, "/sendverify");
+    await telegram.waitFor("sendMessage", call => call.params.text === i18n.t("en", "common.adminOnly"));
+    await telegram.idle();
+    assert.equal(telegram.callsTo("sendMessage", toChannel).length + telegram.callsTo("editMessageText").length, 0);
+});
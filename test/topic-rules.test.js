@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTestBot, ADMIN, MEMBER, COMMUNITY_GROUP_ID, RESTRICTED_TOPIC_ID } = require("./helpers/harness");
+
+function readAuditLog(harness) {
+    const file = path.join(harness.configDir, "audit_log.jsonl");
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line)) : [];
+}
+
+test("member posts in the restricted topic are deleted and audited", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+
+    const post = sendGroupMessage(MEMBER, "Hello everyone", { topicId: RESTRICTED_TOPIC_ID });
+    const deletion = await telegram.waitFor("deleteMessage");
+    assert.deepEqual(deletion.params, { chat_id: COMMUNITY_GROUP_ID, message_id: post.message_id });
+
+    await telegram.idle();
+    const [entry] = readAuditLog(harness).filter(candidate => candidate.action === "topic.delete");
+    assert.equal(entry.result, "deleted");
+    assert.deepEqual(entry.target, { chatId: COMMUNITY_GROUP_ID, topicId: RESTRICTED_TOPIC_ID, userId: MEMBER.id, name: MEMBER.first_name });
+    assert.equal(entry.details.rule, "admin_only");
+    assert.equal(entry.details.text, "Hello everyone");
+});
+
+test("staff posts in the restricted topic and member posts elsewhere are left alone", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+
+    sendGroupMessage(ADMIN, "Announcement", { topicId: RESTRICTED_TOPIC_ID });
+    sendGroupMessage(MEMBER, "Hello everyone", { topicId: RESTRICTED_TOPIC_ID + 1 });
+    sendGroupMessage(MEMBER, "Hello again");
+    await telegram.idle();
+
+    assert.equal(telegram.callsTo("deleteMessage").length, 0);
+    assert.equal(readAuditLog(harness).filter(entry => entry.action === "topic.delete").length, 0);
+});
+
+test("a failed deletion is audited with Telegram's error", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage } = harness;
+    telegram.respond("deleteMessage", () => ({ error_code: 400, description: "Bad Request: message can't be deleted" }));
+
+    sendGroupMessage(MEMBER, "Hello everyone", { topicId: RESTRICTED_TOPIC_ID });
+    await telegram.waitFor("deleteMessage");
+    await telegram.idle();
+
+    const [entry] = readAuditLog(harness).filter(candidate => candidate.action === "topic.delete");
+    assert.equal(entry.result, "failed: Bad Request: message can't be deleted");
+});
+
+test("rules added with /topicrule replace the restricted-topic default and can warn in the topic", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendGroupMessage, state } = harness;
+
+    sendGroupMessage(ADMIN, "/topicrule add nolinks delete,warn", { topicId: RESTRICTED_TOPIC_ID });
+    await telegram.waitFor("sendMessage", call => call.params.text.startsWith("✅ تمت إضافة القاعدة"));
+    assert.deepEqual(state.topicRules[`${COMMUNITY_GROUP_ID}:${RESTRICTED_TOPIC_ID}`], [{ type: "no_links", actions: ["delete", "warn"] }]);
+    telegram.reset();
+
+    sendGroupMessage(MEMBER, "No links here", { topicId: RESTRICTED_TOPIC_ID });
+    await telegram.idle();
+    assert.equal(telegram.callsTo("deleteMessage").length, 0, "only links break the topic's own rule now");
+
+    const post = sendGroupMessage(MEMBER, "Join us at https://example.com", { topicId: RESTRICTED_TOPIC_ID });
+    const deletion = await telegram.waitFor("deleteMessage");
+    assert.equal(deletion.params.message_id, post.message_id);
+    const warning = await telegram.waitFor("sendMessage", call => call.params.chat_id === COMMUNITY_GROUP_ID);
+    assert.equal(warning.params.message_thread_id, RESTRICTED_TOPIC_ID);
+    assert.equal(warning.params.reply_to_message_id, undefined, "the warning can't reply to a deleted message");
+    assert.match(warning.params.text, /Sam/);
+});
+
+test("topic deletions saved in the state by older versions move into the audit log", async t => {
+    const at = "2026-01-05T10:00:00.000Z";
+    const harness = await createTestBot({
+        initialState: {
+            topicAuditLog: [{ at, chatId: COMMUNITY_GROUP_ID, topicId: RESTRICTED_TOPIC_ID, userId: MEMBER.id, name: MEMBER.first_name, rule: "admin_only", actions: ["delete"], text: "Old post" }]
+        }
+    });
+    t.after(() => harness.close());
+
+    const [entry] = readAuditLog(harness);
+    assert.equal(entry.action, "topic.delete");
+    assert.equal(entry.timestamp, at);
+    assert.equal(entry.result, "deleted");
+    assert.deepEqual(entry.target, { chatId: COMMUNITY_GROUP_ID, topicId: RESTRICTED_TOPIC_ID, userId: MEMBER.id, name: MEMBER.first_name });
+    assert.deepEqual(entry.details, { rule: "admin_only", actions: ["delete"], text: "Old post" });
+    assert.equal(harness.state.topicAuditLog, undefined);
+});
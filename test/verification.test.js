@@ -0,0 +1,271 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../i18n");
+const { createTestBot, getButtons, ADMIN, MEMBER, PRIVATE_GROUP_ID, TEST_VERIFICATION_QUESTIONS } = require("./helpers/harness");
+
+const toMember = call => call.params.chat_id === MEMBER.id;
+const toAdmin = call => call.params.chat_id === ADMIN.id;
+const withText = key => call => call.params.text === i18n.t("en", key);
+
+test("/start asks the questions one by one and sends the answers to the admin for review", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    const [secondQuestion] = harness.telegram.callsTo("sendMessage", call => toMember(call) && call.params.text.includes("(2/2)"));
+    assert.match(secondQuestion.params.text, /Do you accept the rules\?/);
+    assert.deepEqual(getButtons(secondQuestion).map(button => button.text), ["Yes", "No", i18n.t("en", "verification.back")]);
+
+    assert.match(review.params.text, /Sam \(@sam\) \(ID: 200\)/);
+    assert.match(review.params.text, /To keep fake and spam accounts out/);
+    assert.match(review.params.text, /نعم/); // Reviewers see the default-language option
+    assert.deepEqual(getButtons(review).map(button => button.callback_data), ["approve_200", "reject_200"]);
+
+    assert.equal(harness.state.verificationSessions[MEMBER.id], undefined);
+    const pending = harness.state.pendingApprovals[MEMBER.id];
+    assert.equal(pending.transcript.length, 2);
+    assert.deepEqual(pending.reviewMessages, [{ chatId: ADMIN.id, messageId: review.result.message_id }]);
+    assert.equal(harness.state.verifiedUsers[MEMBER.id].history[0].decision, "pending");
+});
+
+test("a choice question ignores typed answers that aren't an option", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, sendMessage, state } = harness;
+
+    sendMessage(MEMBER, "/start");
+    await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.includes("(1/2)"));
+    sendMessage(MEMBER, "To keep fake and spam accounts out");
+    await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.includes("(2/2)"));
+
+    sendMessage(MEMBER, "maybe");
+    await telegram.waitFor("sendMessage", withText("verification.useButtons"));
+    assert.equal(state.verificationSessions[MEMBER.id].step, 1);
+
+    sendMessage(MEMBER, "Yes"); // The option typed out exactly counts as clicking it
+    await telegram.waitFor("sendMessage", toAdmin);
+    assert.equal(state.pendingApprovals[MEMBER.id].transcript[1].answer, "نعم");
+});
+
+test("/start while a request is pending does not start a second questionnaire", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    await harness.completeQuestionnaire(MEMBER);
+
+    harness.sendMessage(MEMBER, "/start");
+    await harness.telegram.waitFor("sendMessage", withText("verification.inProgress"));
+    assert.equal(harness.state.verificationSessions[MEMBER.id], undefined);
+});
+
+test("approving verifies the user, sends a personal invite link and updates the review message", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    clickButton(ADMIN, review.result, "approve_200");
+    const edit = await telegram.waitFor("editMessageText", toAdmin);
+
+    assert.equal(edit.params.message_id, review.result.message_id);
+    assert.match(edit.params.text, /النتيجة: ✅ تم قبول المستخدم \(تم إرسال رابط دعوة خاص\)/);
+    assert.ok(telegram.callsTo("sendMessage", withText("verification.approved")).length === 1);
+
+    const invite = await telegram.waitFor("createChatInviteLink");
+    assert.equal(invite.params.chat_id, PRIVATE_GROUP_ID);
+    assert.equal(invite.params.member_limit, 1);
+    const linkMessage = telegram.callsTo("sendMessage", call => toMember(call) && call.params.text.includes(invite.result.invite_link));
+    assert.equal(linkMessage.length, 1);
+
+    const answer = await telegram.waitFor("answerCallbackQuery", call => call.params.text === "✅ تم التوثيق بنجاح!");
+    assert.ok(answer);
+
+    const record = state.verifiedUsers[MEMBER.id];
+    assert.equal(record.verified, true);
+    assert.deepEqual(record.approvedBy, { id: ADMIN.id, name: ADMIN.first_name });
+    assert.equal(record.history[0].decision, "approved");
+    assert.equal(record.inviteLink.url, invite.result.invite_link);
+    assert.equal(state.pendingApprovals[MEMBER.id], undefined);
+
+    // A verified user can't start again
+    harness.sendMessage(MEMBER, "/start");
+    await telegram.waitFor("sendMessage", withText("verification.alreadyVerified"));
+});
+
+test("names and answers with Markdown characters still reach the reviewers", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram } = harness;
+    // Like Telegram, refuse Markdown with an unclosed _ or * entity
+    let nextMessageId = 1;
+    telegram.respond("sendMessage", params => params.parse_mode === "Markdown" && /(^|[^\\])[_*]/.test(params.text.replace(/\*\*[^*]*\*\*/g, ""))
+        ? { error_code: 400, description: "Bad Request: can't parse entities" }
+        : { message_id: nextMessageId++, date: 0, chat: { id: params.chat_id, type: "private" }, text: params.text, reply_markup: params.reply_markup });
+    const member = { ...MEMBER, username: "sam_doe" };
+
+    const [review] = await harness.completeQuestionnaire(member, "I write *everything* in snake_case");
+
+    assert.match(review.params.text, /@sam\\_doe/);
+    assert.match(review.params.text, /\\\*everything\\\* in snake\\_case/);
+});
+
+test("the decided review message is rebuilt from the stored request, not from the received text", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton } = harness;
+    const member = { ...MEMBER, username: "sam_doe" };
+    const [review] = await harness.completeQuestionnaire(member, "I write *everything* in snake_case");
+
+    // Telegram hands back the text without the Markdown markers or escapes
+    clickButton(ADMIN, { ...review.result, text: "stripped" }, "approve_200");
+    const edit = await telegram.waitFor("editMessageText", toAdmin);
+
+    assert.equal(edit.params.parse_mode, "Markdown");
+    assert.ok(edit.params.text.startsWith(review.params.text));
+    assert.match(edit.params.text, /\*\*النتيجة: ✅ تم قبول المستخدم/);
+});
+
+test("a request no reviewer received is not left pending in the history", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, state } = harness;
+    let nextMessageId = 1;
+    telegram.respond("sendMessage", params => toAdmin({ params })
+        ? { error_code: 403, description: "Forbidden: bot was blocked by the user" }
+        : { message_id: nextMessageId++, date: 0, chat: { id: params.chat_id, type: "private" }, text: params.text, reply_markup: params.reply_markup });
+
+    await harness.answerQuestionnaire(MEMBER);
+    await telegram.waitFor("sendMessage", withText("verification.submitFailed"));
+
+    assert.equal(state.pendingApprovals[MEMBER.id], undefined);
+    assert.deepEqual(state.verifiedUsers[MEMBER.id].history, []);
+});
+
+test("rejecting with a preset reason tells the user why and starts the reapply cooldown", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, state } = harness;
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    clickButton(ADMIN, review.result, "reject_200");
+    const reasons = await telegram.waitFor("editMessageReplyMarkup");
+    const reasonData = reasons.params.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+    assert.deepEqual(reasonData, ["rejreason_200_0", "rejcustom_200", "rejnone_200", "rejback_200"]);
+    assert.ok(state.pendingApprovals[MEMBER.id], "choosing a reason does not decide yet");
+
+    clickButton(ADMIN, review.result, "rejreason_200_0");
+    const edit = await telegram.waitFor("editMessageText", toAdmin);
+    assert.match(edit.params.text, /النتيجة: ❌ تم رفض المستخدم \(السبب: الإجابات غير مكتملة\.\)/);
+
+    const rejection = await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.startsWith(i18n.t("en", "verification.rejected")));
+    assert.match(rejection.params.text, /The answers were incomplete\./);
+
+    const record = state.verifiedUsers[MEMBER.id];
+    assert.equal(record.verified, false);
+    assert.equal(record.rejectionCount, 1);
+    assert.ok(new Date(record.reapplyAfter) > new Date());
+    assert.equal(record.history[0].decision, "rejected");
+    assert.equal(state.pendingApprovals[MEMBER.id], undefined);
+
+    telegram.reset();
+    harness.sendMessage(MEMBER, "/start");
+    const cooldown = await telegram.waitFor("sendMessage", toMember);
+    assert.match(cooldown.params.text, /You can apply again in/);
+    assert.equal(state.verificationSessions[MEMBER.id], undefined);
+});
+
+test("a reviewer can type a custom rejection reason", async t => {
+    const harness = await createTestBot();
+    t.after(() => harness.close());
+    const { telegram, clickButton, sendMessage, state } = harness;
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    clickButton(ADMIN, review.result, "rejcustom_200");
+    await telegram.waitFor("sendMessage", call => toAdmin(call) && call.params.text.startsWith("✍️"));
+
+    sendMessage(ADMIN, "Please answer in full sentences");
+    const rejection = await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.startsWith(i18n.t("en", "verification.rejected")));
+    assert.match(rejection.params.text, /Please answer in full sentences/);
+    assert.equal(state.verifiedUsers[MEMBER.id].lastRejectionReason, "Please answer in full sentences");
+});
+
+test("AI screening can approve a request without a reviewer", async t => {
+    const harness = await createTestBot({
+        verificationQuestions: { ...TEST_VERIFICATION_QUESTIONS, ai_screening: { enabled: true, auto_approve: true, auto_approve_min_score: 85 } },
+        llmReply: JSON.stringify({ score: 92, rationale: "إجابات جادة.", recommendation: "approve" })
+    });
+    t.after(() => harness.close());
+    const { telegram, llm, state } = harness;
+
+    await harness.answerQuestionnaire(MEMBER);
+    const review = await telegram.waitFor("sendMessage", toAdmin);
+
+    assert.equal(llm.requests.length, 1);
+    assert.match(llm.requests[0].messages[1].content, /A1: To keep fake and spam accounts out/);
+    assert.match(review.params.text, /92\/100/);
+    assert.deepEqual(getButtons(review).map(button => button.callback_data), ["undoauto_200"]);
+    await telegram.waitFor("sendMessage", withText("verification.approved"));
+    assert.equal(state.verifiedUsers[MEMBER.id].approvedBy, "ai_screening");
+    assert.equal(state.aiScreeningLog[0].decision, "approve");
+});
+
+test("an AI screening threshold of 0 is kept rather than replaced by the default", async t => {
+    const harness = await createTestBot({
+        verificationQuestions: { ...TEST_VERIFICATION_QUESTIONS, ai_screening: { enabled: true, auto_reject: true, auto_reject_max_score: 0 } },
+        llmReply: JSON.stringify({ score: 5, rationale: "إجابات ضعيفة.", recommendation: "reject" })
+    });
+    t.after(() => harness.close());
+
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+    assert.deepEqual(getButtons(review).map(button => button.callback_data), ["approve_200", "reject_200"]);
+    assert.ok(harness.state.pendingApprovals[MEMBER.id]);
+});
+
+test("a blank AI screening threshold falls back to the default instead of counting as 0", async t => {
+    const harness = await createTestBot({
+        verificationQuestions: { ...TEST_VERIFICATION_QUESTIONS, ai_screening: { enabled: true, auto_approve: true, auto_approve_min_score: " " } },
+        llmReply: JSON.stringify({ score: 50, rationale: "إجابات مقبولة.", recommendation: "approve" })
+    });
+    t.after(() => harness.close());
+
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+    assert.deepEqual(getButtons(review).map(button => button.callback_data), ["approve_200", "reject_200"]);
+    assert.equal(harness.state.verifiedUsers[MEMBER.id].verified, false);
+});
+
+test("an invalid REJECTION_COOLDOWN_HOURS falls back to the 24-hour cooldown", async t => {
+    const harness = await createTestBot({ env: { REJECTION_COOLDOWN_HOURS: "one day" } });
+    t.after(() => harness.close());
+    const [review] = await harness.completeQuestionnaire(MEMBER);
+
+    harness.clickButton(ADMIN, review.result, "rejnone_200");
+    await harness.telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.startsWith(i18n.t("en", "verification.rejected")));
+    const hours = (new Date(harness.state.verifiedUsers[MEMBER.id].reapplyAfter) - Date.now()) / 3600000;
+    assert.ok(hours > 23.9 && hours <= 24, `cooldown of ${hours} hours`);
+});
+
+test("deep-link starts are counted once per session and a plain /start clears the old source", async t => {
+    const harness = await createTestBot({ env: { REJECTION_COOLDOWN_HOURS: "0" } });
+    t.after(() => harness.close());
+    const { telegram, sendMessage, clickButton, state } = harness;
+
+    sendMessage(MEMBER, "/start verify");
+    await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.includes("(1/2)"));
+    sendMessage(MEMBER, "To keep fake and spam accounts out");
+    const secondQuestion = await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.includes("(2/2)"));
+    clickButton(MEMBER, secondQuestion.result, "vq_1_0");
+    const review = await telegram.waitFor("sendMessage", toAdmin);
+    assert.equal(state.verifiedUsers[MEMBER.id].source.payload, "verify");
+
+    sendMessage(MEMBER, "/start verify"); // While the request is pending
+    await telegram.waitFor("sendMessage", withText("verification.inProgress"));
+    assert.equal(state.deepLinks.starts.verify, 1);
+
+    clickButton(ADMIN, review.result, "rejnone_200");
+    await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.startsWith(i18n.t("en", "verification.rejected")));
+    telegram.reset();
+    sendMessage(MEMBER, "/start");
+    await telegram.waitFor("sendMessage", call => toMember(call) && call.params.text.includes("(1/2)"));
+    assert.equal(state.verifiedUsers[MEMBER.id].source, null);
+    assert.equal(state.deepLinks.starts.verify, 1);
+});